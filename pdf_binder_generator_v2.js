@@ -18,14 +18,23 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
+const { PDFDocument, PDFName, PDFHexString, rgb, degrees, StandardFonts, EncryptedPDFError } = require('pdf-lib');
 const fontkit = require('fontkit');
+const QRCode = require('qrcode');
+const { expandGHSClassification } = require('./scripts/ghs_codes.js');
+const { PICTOGRAM_RED, getPictogramLayers } = require('./scripts/ghs_pictograms.js');
 
 class GHSBinderPDFGenerator {
     constructor() {
         // Initialize font storage
         this.embeddedFonts = {};
         
+        // Source Literature/SDS PDFs live alongside the generator
+        this.pdfsPath = path.join(__dirname, 'pdfs');
+        
+        // Customer logos live in assets/<slug>/ (same folder the deployer uploads)
+        this.assetsPath = path.join(__dirname, 'assets');
+        
         // Standard font references
         this.standardFonts = {
             title: StandardFonts.HelveticaBold,
@@ -34,16 +43,20 @@ class GHSBinderPDFGenerator {
             italic: StandardFonts.HelveticaOblique
         };
         
-        // Color palette
-        this.colors = {
+        // Default color palette, primary/secondary are overridden per customer
+        this.defaultColors = {
             primary: rgb(0.204, 0.596, 0.859), // #3498db
             secondary: rgb(0.173, 0.243, 0.314), // #2c3e50
             text: rgb(0.2, 0.2, 0.2),
             lightGray: rgb(0.9, 0.9, 0.9),
             white: rgb(1, 1, 1),
             red: rgb(0.8, 0.2, 0.2),
-            success: rgb(0.2, 0.7, 0.3)
+            success: rgb(0.2, 0.7, 0.3),
+            warning: rgb(0.953, 0.612, 0.071), // #f39c12
+            warningFill: rgb(1, 0.953, 0.804), // #fff3cd
+            warningText: rgb(0.522, 0.392, 0.016) // #856404
         };
+        this.colors = { ...this.defaultColors };
         
         // Professional symbol alternatives to emojis
         this.symbols = {
@@ -151,9 +164,10 @@ class GHSBinderPDFGenerator {
     }
 
     /**
-     * Generate complete binder PDF for a customer
+     * Generate complete binder PDF for a customer.
+     * Pass options.outputPath to override the per-customer default location.
      */
-    async generateCompleteBinder(customerConfig) {
+    async generateCompleteBinder(customerConfig, options = {}) {
         try {
             console.log(`📄 Generating complete binder for ${customerConfig.customer_info.name}...`);
             
@@ -163,44 +177,82 @@ class GHSBinderPDFGenerator {
             // Initialize fonts first
             await this.initializeFonts(pdfDoc);
             
+            // Customer colors (reset on every run since the generator is reused across customers)
+            this.applyBranding(customerConfig);
+            
             // Get active chemicals
             const chemicals = customerConfig.chemicals.filter(c => c.active);
             
+            // Load every source document up front so problems are reported together
+            const sourceDocuments = await this.loadSourceDocuments(chemicals);
+            
             // Generate all pages
             await this.addCoverPage(pdfDoc, customerConfig);
-            await this.addTableOfContents(pdfDoc, customerConfig, chemicals);
+            
+            // Pass 1: lay out the table of contents and reserve its pages
+            const tocLayout = this.layoutTableOfContents(this.buildTocEntries(chemicals));
+            const tocPages = tocLayout.pages.map(() => pdfDoc.addPage([612, 792]));
+            
+            // Record the 1-based start page of every section as it is built
+            const sectionPages = { chemicals: [] };
+            
+            sectionPages.compliance = pdfDoc.getPageCount() + 1;
             await this.addComplianceInfo(pdfDoc, customerConfig);
             
             // Add chemical documentation
             for (let i = 0; i < chemicals.length; i++) {
                 const chemical = chemicals[i];
-                await this.addChemicalSection(pdfDoc, chemical, i + 1, customerConfig);
+                sectionPages.chemicals.push(
+                    await this.addChemicalSection(pdfDoc, chemical, i + 1, customerConfig, sourceDocuments.get(chemical))
+                );
             }
             
             // Add footer pages
+            sectionPages.contact = pdfDoc.getPageCount() + 1;
             await this.addContactPage(pdfDoc, customerConfig);
+            sectionPages.disclaimer = pdfDoc.getPageCount() + 1;
             await this.addDisclaimerPage(pdfDoc, customerConfig);
             
+            // Pass 2: fill the reserved pages now that every page number is known
+            await this.addTableOfContents(tocPages, tocLayout, sectionPages);
+            
+            // Bookmarks and clickable links for navigating on tablets
+            this.addNavigation(pdfDoc, chemicals, tocPages, tocLayout, sectionPages);
+            
+            // Running headers/footers on every page, merged documents included
+            this.addPageStamps(pdfDoc, customerConfig, chemicals, sectionPages);
+            
             // Save PDF
             const pdfBytes = await pdfDoc.save();
-            const outputPath = path.join(__dirname, 'pdfs', 'complete_ghs_binder_v2.pdf');
+            const binderInfo = this.getBinderInfo(customerConfig);
+            const outputPath = options.outputPath
+                ? path.resolve(options.outputPath)
+                : path.join(this.pdfsPath, binderInfo.slug, binderInfo.filename);
             
-            // Ensure pdfs directory exists
+            // Ensure output directory exists
             await fs.mkdir(path.dirname(outputPath), { recursive: true });
             
             // Write the file
             await fs.writeFile(outputPath, pdfBytes);
             
             console.log(`✅ Complete binder generated: ${outputPath}`);
-            console.log(`📊 Contains ${chemicals.length} chemicals, ${chemicals.length * 2} documents`);
+            console.log(`📊 Contains ${chemicals.length} chemicals, ${chemicals.length * 2} documents, ${pdfDoc.getPageCount()} pages`);
             console.log(`💾 File size: ${Math.round(pdfBytes.length / 1024)} KB`);
             
             return {
                 success: true,
                 path: outputPath,
+                customer: customerConfig.customer_info.name,
+                slug: binderInfo.slug,
+                filename: binderInfo.filename,
+                url: binderInfo.url,
+                title: binderInfo.title,
                 chemicals: chemicals.length,
                 documents: chemicals.length * 2,
-                size: Math.round(pdfBytes.length / 1024) + ' KB'
+                pages: pdfDoc.getPageCount(),
+                bytes: pdfBytes.length,
+                size: Math.round(pdfBytes.length / 1024) + ' KB',
+                generated_at: new Date().toISOString()
             };
             
         } catch (error) {
@@ -209,6 +261,95 @@ class GHSBinderPDFGenerator {
         }
     }
 
+    /**
+     * Resolve the binder filename, site URL and title from the customer's site settings
+     */
+    getBinderInfo(customerConfig) {
+        const slug = customerConfig.customer_info.slug;
+        const settings = customerConfig.site_settings?.complete_binder || {};
+        
+        if (!slug) {
+            throw new Error('Customer configuration is missing customer_info.slug');
+        }
+        
+        // Only the base name is used so a config cannot write outside the output area
+        const filename = path.basename(settings.filename || 'complete_ghs_binder.pdf');
+        if (!filename.toLowerCase().endsWith('.pdf')) {
+            throw new Error(`Complete binder filename must be a PDF: ${filename}`);
+        }
+        
+        return {
+            slug,
+            filename,
+            url: settings.url || `pdfs/${filename}`,
+            title: settings.title || 'Complete GHS Safety Binder'
+        };
+    }
+
+    /**
+     * Apply the customer's branding colors, keeping defaults for missing or invalid values
+     */
+    applyBranding(customerConfig) {
+        const branding = customerConfig.customer_info.branding || {};
+        this.colors = { ...this.defaultColors };
+        
+        for (const key of ['primary', 'secondary']) {
+            const hex = branding[`${key}_color`];
+            if (!hex) continue;
+            
+            const color = this.hexToRgb(hex);
+            if (color) {
+                this.colors[key] = color;
+            } else {
+                console.log(`⚠️  Invalid ${key}_color "${hex}" - using default`);
+            }
+        }
+    }
+
+    /**
+     * Convert #rgb or #rrggbb into a pdf-lib color, or null when invalid
+     */
+    hexToRgb(hex) {
+        const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(hex).trim());
+        if (!match) return null;
+        
+        let digits = match[1];
+        if (digits.length === 3) {
+            digits = digits.split('').map(d => d + d).join('');
+        }
+        
+        const value = parseInt(digits, 16);
+        return rgb(((value >> 16) & 255) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255);
+    }
+
+    /**
+     * Embed the customer's PNG/JPEG logo from assets/<slug>/, or return null if unavailable
+     */
+    async embedCustomerLogo(pdfDoc, customerConfig) {
+        const logoUrl = customerConfig.customer_info.branding?.logo_url;
+        if (!logoUrl) return null;
+        
+        const logoPath = path.join(this.assetsPath, customerConfig.customer_info.slug, path.basename(logoUrl));
+        
+        try {
+            const bytes = await fs.readFile(logoPath);
+            
+            // Detect the format from the file signature, extensions are not reliable
+            if (bytes[0] === 0x89 && bytes.toString('ascii', 1, 4) === 'PNG') {
+                return await pdfDoc.embedPng(bytes);
+            }
+            if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+                return await pdfDoc.embedJpg(bytes);
+            }
+            
+            console.log(`⚠️  Logo is not a PNG or JPEG, skipping: ${logoPath}`);
+        } catch (error) {
+            console.log(`⚠️  Logo not available (${error.code === 'ENOENT' ? 'file not found' : error.message}): ${logoPath}`);
+        }
+        
+        return null;
+    }
+
     /**
      * Add professional cover page with CORRECTED formatting
      */
@@ -225,34 +366,53 @@ class GHSBinderPDFGenerator {
             color: this.colors.primary
         });
         
+        // Customer logo, scaled to fit the right side of the header band
+        let headerTextWidth = width - 100;
+        const logo = await this.embedCustomerLogo(pdfDoc, customerConfig);
+        if (logo) {
+            const scaled = logo.scaleToFit(120, 110);
+            page.drawImage(logo, {
+                x: width - 40 - scaled.width,
+                y: height - 75 - scaled.height / 2,
+                width: scaled.width,
+                height: scaled.height
+            });
+            headerTextWidth = width - 50 - scaled.width - 60;
+        }
+        
         // Title
-        this.drawTextSafe(page, 'GHS Safety Data Binder', {
+        this.drawWrappedText(page, 'GHS Safety Data Binder', {
             x: 50,
-            y: height - 80,
-            size: 36,
+            y: height - 70,
+            width: headerTextWidth,
+            size: 32,
             font: this.embeddedFonts.helveticaBold,
-            color: this.colors.white
+            color: this.colors.white,
+            maxLines: 1
         });
         
-        // Customer name
-        this.drawTextSafe(page, customerConfig.customer_info.name, {
+        // Customer name, up to two lines inside the band
+        this.drawWrappedText(page, customerConfig.customer_info.name, {
             x: 50,
-            y: height - 120,
-            size: 24,
+            y: height - 105,
+            width: headerTextWidth,
+            size: 20,
             font: this.embeddedFonts.helveticaBold,
-            color: this.colors.white
+            color: this.colors.white,
+            lineHeight: 24,
+            maxLines: 2
         });
         
         // Main content area
         const centerY = height / 2;
         
         // Professional subtitle
-        this.drawTextSafe(page, 'Professional Chemical Safety Documentation Portal', {
-            x: 50,
-            y: centerY + 100,
+        const flow = this.createTextFlow(pdfDoc, page, { y: centerY + 100 });
+        this.flowText(flow, 'Professional Chemical Safety Documentation Portal', {
             size: 18,
             font: this.embeddedFonts.helveticaBold,
-            color: this.colors.secondary
+            color: this.colors.secondary,
+            spaceAfter: 10
         });
         
         // Key information
@@ -265,24 +425,21 @@ class GHSBinderPDFGenerator {
             `Emergency Contact: ${customerConfig.customer_info.contact.emergency || 'See contact page'}`
         ];
         
-        let yOffset = centerY + 50;
         infoItems.forEach(item => {
-            this.drawTextSafe(page, `• ${item}`, {
-                x: 70,
-                y: yOffset,
-                size: 12,
-                font: this.embeddedFonts.helvetica,
-                color: this.colors.text
-            });
-            yOffset -= 25;
+            this.flowText(flow, item, { size: 12, indent: 20, bullet: '•', lineHeight: 16, spaceAfter: 9 });
         });
         
-        // Emergency access notice - CORRECTED VERSION WITH PROPER SPACING
+        // Emergency access notice, sized to its wrapped text
+        const noticeText = 'This safety information is available 24/7 without restrictions for emergency response and compliance purposes.';
+        const noticeLines = this.wrapText(noticeText, width - 120, 11, this.embeddedFonts.helvetica);
+        const noticeTop = Math.min(flow.y - 10, centerY - 80);
+        const noticeHeight = 50 + noticeLines.length * 15;
+        
         page.drawRectangle({
             x: 40,
-            y: centerY - 180,
+            y: noticeTop - noticeHeight,
             width: width - 80,
-            height: 100,
+            height: noticeHeight,
             color: this.colors.red,
             borderColor: this.colors.red,
             borderWidth: 2
@@ -291,28 +448,20 @@ class GHSBinderPDFGenerator {
         // Emergency header - clear and professional
         this.drawTextSafe(page, 'EMERGENCY ACCESS', {
             x: 60,
-            y: centerY - 120,
+            y: noticeTop - 30,
             size: 16,
             font: this.embeddedFonts.helveticaBold,
             color: this.colors.white
         });
         
-        // Emergency text line 1 - properly positioned
-        this.drawTextSafe(page, 'This safety information is available 24/7 without restrictions', {
-            x: 60,
-            y: centerY - 140,
-            size: 11,
-            font: this.embeddedFonts.helvetica,
-            color: this.colors.white
-        });
-        
-        // Emergency text line 2 - properly positioned
-        this.drawTextSafe(page, 'for emergency response and compliance purposes.', {
+        this.drawWrappedText(page, noticeText, {
             x: 60,
-            y: centerY - 155,
+            y: noticeTop - 50,
+            width: width - 120,
             size: 11,
             font: this.embeddedFonts.helvetica,
-            color: this.colors.white
+            color: this.colors.white,
+            lineHeight: 15
         });
         
         // Footer
@@ -326,515 +475,1326 @@ class GHSBinderPDFGenerator {
     }
 
     /**
-     * Add table of contents
+     * Build the table of contents entries (page numbers are resolved later)
      */
-    async addTableOfContents(pdfDoc, customerConfig, chemicals) {
-        const page = pdfDoc.addPage([612, 792]);
-        const { width, height } = page.getSize();
-        
-        // Header
-        this.drawTextSafe(page, 'Table of Contents', {
-            x: 50,
-            y: height - 80,
-            size: 24,
-            font: this.embeddedFonts.helveticaBold,
-            color: this.colors.secondary
-        });
-        
-        let yPosition = height - 140;
-        let pageNum = 4; // Starting after cover, TOC, and compliance pages
+    buildTocEntries(chemicals) {
+        const entries = [
+            { type: 'section', label: '1. Compliance Information', section: 'compliance' },
+            { type: 'section', label: '2. Chemical Safety Documentation', section: 'chemicals' }
+        ];
         
-        // Compliance section
-        this.drawTextSafe(page, '1. Compliance Information', {
-            x: 70,
-            y: yPosition,
-            size: 14,
-            font: this.embeddedFonts.helveticaBold,
-            color: this.colors.text
-        });
+        if (chemicals.length > 0) {
+            entries.push({ type: 'columns' });
+        }
         
-        this.drawTextSafe(page, 'Page 3', {
-            x: width - 100,
-            y: yPosition,
-            size: 12,
-            font: this.embeddedFonts.helvetica,
-            color: this.colors.text
+        chemicals.forEach((chemical, index) => {
+            entries.push({ type: 'chemical', label: `2.${index + 1}  ${chemical.name}`, chemicalIndex: index });
         });
         
-        yPosition -= 40;
-        
-        // Chemical documentation section
-        this.drawTextSafe(page, '2. Chemical Safety Documentation', {
-            x: 70,
-            y: yPosition,
-            size: 14,
-            font: this.embeddedFonts.helveticaBold,
-            color: this.colors.text
-        });
+        entries.push({ type: 'section', label: '3. Contact Information', section: 'contact' });
+        entries.push({ type: 'section', label: '4. Legal Disclaimers', section: 'disclaimer' });
         
-        this.drawTextSafe(page, `Page ${pageNum}`, {
-            x: width - 100,
-            y: yPosition,
-            size: 12,
-            font: this.embeddedFonts.helvetica,
-            color: this.colors.text
+        return entries;
+    }
+
+    /**
+     * Distribute TOC entries over as many pages as needed, wrapping long
+     * chemical names. Returns { pages: [[{ entry, y, lines }]] } so the page
+     * count is known before rendering.
+     */
+    layoutTableOfContents(entries) {
+        const width = 612;
+        const height = 792;
+        const firstTop = height - 140;
+        const continuedTop = height - 120;
+        const bottom = 72;
+        const rowHeights = { section: 30, columns: 20, chemical: 20 };
+        const chemicalLineHeight = 13;
+        const chemicalLabelWidth = (width - 170) - 60 - 90;
+        
+        const pages = [[]];
+        let yPosition = firstTop;
+        
+        entries.forEach(entry => {
+            const gapBefore = entry.type === 'section' && pages[pages.length - 1].length > 0 ? 10 : 0;
+            const lines = entry.type === 'chemical'
+                ? this.wrapText(entry.label, chemicalLabelWidth, 11, this.embeddedFonts.helvetica)
+                : [entry.label];
+            const extraHeight = (lines.length - 1) * chemicalLineHeight;
+            
+            if (yPosition - gapBefore - extraHeight < bottom) {
+                pages.push([]);
+                yPosition = continuedTop;
+                
+                // Repeat the column labels when a chemical list continues on a new page
+                if (entry.type === 'chemical') {
+                    pages[pages.length - 1].push({ entry: { type: 'columns' }, y: yPosition });
+                    yPosition -= rowHeights.columns;
+                }
+            } else {
+                yPosition -= gapBefore;
+            }
+            
+            pages[pages.length - 1].push({ entry, y: yPosition, lines });
+            yPosition -= rowHeights[entry.type] + extraHeight;
         });
         
-        yPosition -= 30;
+        return { pages };
+    }
+
+    /**
+     * Add table of contents onto the pages reserved during layout
+     */
+    async addTableOfContents(tocPages, tocLayout, sectionPages) {
+        const firstChemical = sectionPages.chemicals[0];
+        const sectionStart = {
+            compliance: sectionPages.compliance,
+            chemicals: firstChemical ? firstChemical.divider : null,
+            contact: sectionPages.contact,
+            disclaimer: sectionPages.disclaimer
+        };
         
-        // List each chemical
-        chemicals.forEach((chemical, index) => {
-            if (yPosition < 100) {
-                return; // Start new page if running out of space
-            }
+        tocLayout.pages.forEach((rows, pageIndex) => {
+            const page = tocPages[pageIndex];
+            const { width, height } = page.getSize();
             
-            this.drawTextSafe(page, `   ${index + 1}. ${chemical.name}`, {
-                x: 90,
-                y: yPosition,
-                size: 11,
-                font: this.embeddedFonts.helvetica,
-                color: this.colors.text
-            });
+            // Header
+            this.drawPageHeading(page, pageIndex === 0 ? 'Table of Contents' : 'Table of Contents (continued)', 24);
             
-            this.drawTextSafe(page, `Page ${pageNum}`, {
-                x: width - 100,
-                y: yPosition,
-                size: 10,
-                font: this.embeddedFonts.helvetica,
-                color: this.colors.text
-            });
+            // Page number columns, right-aligned on these x positions
+            const columns = { divider: width - 170, literature: width - 110, sds: width - 50 };
             
-            yPosition -= 20;
-            pageNum += 2; // Each chemical has literature + SDS
+            rows.forEach(({ entry, y, lines }) => {
+                if (entry.type === 'section') {
+                    this.drawTextSafe(page, entry.label, {
+                        x: 70,
+                        y,
+                        size: 14,
+                        font: this.embeddedFonts.helveticaBold,
+                        color: this.colors.text
+                    });
+                    
+                    const startPage = sectionStart[entry.section];
+                    if (startPage) {
+                        this.drawRightAligned(page, `Page ${startPage}`, columns.sds, y, 12, this.embeddedFonts.helvetica);
+                    }
+                } else if (entry.type === 'columns') {
+                    this.drawRightAligned(page, 'Divider', columns.divider, y, 9, this.embeddedFonts.helveticaBold, this.colors.secondary);
+                    this.drawRightAligned(page, 'Literature', columns.literature, y, 9, this.embeddedFonts.helveticaBold, this.colors.secondary);
+                    this.drawRightAligned(page, 'SDS', columns.sds, y, 9, this.embeddedFonts.helveticaBold, this.colors.secondary);
+                } else {
+                    const pages = sectionPages.chemicals[entry.chemicalIndex];
+                    
+                    lines.forEach((line, index) => {
+                        this.drawTextSafe(page, line, {
+                            x: 90,
+                            y: y - index * 13,
+                            size: 11,
+                            font: this.embeddedFonts.helvetica,
+                            color: this.colors.text
+                        });
+                    });
+                    
+                    this.drawRightAligned(page, String(pages.divider), columns.divider, y, 10, this.embeddedFonts.helvetica);
+                    this.drawRightAligned(page, pages.literature ? String(pages.literature) : '-', columns.literature, y, 10, this.embeddedFonts.helvetica);
+                    this.drawRightAligned(page, pages.sds ? String(pages.sds) : '-', columns.sds, y, 10, this.embeddedFonts.helvetica);
+                }
+            });
         });
+    }
+
+    /**
+     * Add the document outline (bookmarks), clickable TOC entries and
+     * "back to contents" links on every chemical divider page
+     */
+    addNavigation(pdfDoc, chemicals, tocPages, tocLayout, sectionPages) {
+        const pageRef = pageNumber => pdfDoc.getPage(pageNumber - 1).ref;
+        const tocRef = tocPages[0].ref;
+        
+        // Outline: one bookmark per chemical with nested Literature/SDS children
+        const outline = [
+            { title: 'Table of Contents', pageRef: tocRef },
+            { title: 'Compliance Information', pageRef: pageRef(sectionPages.compliance) }
+        ];
         
-        yPosition -= 20;
-        
-        // Contact section
-        this.drawTextSafe(page, '3. Contact Information', {
-            x: 70,
-            y: yPosition,
-            size: 14,
-            font: this.embeddedFonts.helveticaBold,
-            color: this.colors.text
+        chemicals.forEach((chemical, index) => {
+            const pages = sectionPages.chemicals[index];
+            const children = [];
+            
+            if (pages.literature) {
+                children.push({ title: 'Product Literature', pageRef: pageRef(pages.literature) });
+            }
+            if (pages.sds) {
+                children.push({ title: 'Safety Data Sheet', pageRef: pageRef(pages.sds) });
+            }
+            
+            outline.push({ title: `${index + 1}. ${chemical.name}`, pageRef: pageRef(pages.divider), children });
         });
         
-        this.drawTextSafe(page, `Page ${pageNum}`, {
-            x: width - 100,
-            y: yPosition,
-            size: 12,
-            font: this.embeddedFonts.helvetica,
-            color: this.colors.text
-        });
+        outline.push({ title: 'Contact Information', pageRef: pageRef(sectionPages.contact) });
+        outline.push({ title: 'Legal Disclaimers', pageRef: pageRef(sectionPages.disclaimer) });
         
-        yPosition -= 30;
+        this.addOutline(pdfDoc, outline);
         
-        // Disclaimers section
-        this.drawTextSafe(page, '4. Legal Disclaimers', {
-            x: 70,
-            y: yPosition,
-            size: 14,
-            font: this.embeddedFonts.helveticaBold,
-            color: this.colors.text
+        // Clickable table of contents entries
+        const sectionStart = {
+            compliance: sectionPages.compliance,
+            chemicals: sectionPages.chemicals[0]?.divider,
+            contact: sectionPages.contact,
+            disclaimer: sectionPages.disclaimer
+        };
+        
+        tocLayout.pages.forEach((rows, pageIndex) => {
+            const page = tocPages[pageIndex];
+            const { width } = page.getSize();
+            
+            rows.forEach(({ entry, y, lines }) => {
+                if (entry.type === 'section' && sectionStart[entry.section]) {
+                    this.addInternalLink(pdfDoc, page, [70, y - 4, width - 50, y + 14], pageRef(sectionStart[entry.section]));
+                } else if (entry.type === 'chemical') {
+                    const pages = sectionPages.chemicals[entry.chemicalIndex];
+                    
+                    // Name and divider column jump to the divider; the other columns to their documents
+                    const nameBottom = y - 4 - (lines.length - 1) * 13;
+                    this.addInternalLink(pdfDoc, page, [90, nameBottom, width - 140, y + 12], pageRef(pages.divider));
+                    if (pages.literature) {
+                        this.addInternalLink(pdfDoc, page, [width - 140, y - 4, width - 80, y + 12], pageRef(pages.literature));
+                    }
+                    if (pages.sds) {
+                        this.addInternalLink(pdfDoc, page, [width - 80, y - 4, width - 50, y + 12], pageRef(pages.sds));
+                    }
+                }
+            });
         });
         
-        this.drawTextSafe(page, `Page ${pageNum + 1}`, {
-            x: width - 100,
-            y: yPosition,
-            size: 12,
-            font: this.embeddedFonts.helvetica,
-            color: this.colors.text
+        // Divider pages link back to the table of contents
+        sectionPages.chemicals.forEach(pages => {
+            const page = pdfDoc.getPage(pages.divider - 1);
+            const { width, height } = page.getSize();
+            const label = 'Back to Table of Contents';
+            const labelWidth = this.embeddedFonts.helvetica.widthOfTextAtSize(label, 10);
+            
+            this.drawRightAligned(page, label, width - 50, height - 30, 10, this.embeddedFonts.helvetica, this.colors.white);
+            this.addInternalLink(pdfDoc, page, [width - 50 - labelWidth, height - 34, width - 50, height - 18], tocRef);
         });
     }
 
     /**
-     * Add compliance information page with safe text
+     * Stamp every page with a running header (customer name) and a footer with
+     * the generation date, the chemical name inside chemical sections and "Page X of Y"
      */
-    async addComplianceInfo(pdfDoc, customerConfig) {
-        const page = pdfDoc.addPage([612, 792]);
-        const { width, height } = page.getSize();
-        
-        // Header
-        this.drawTextSafe(page, 'OSHA Compliance Information', {
-            x: 50,
-            y: height - 80,
-            size: 20,
-            font: this.embeddedFonts.helveticaBold,
-            color: this.colors.secondary
+    addPageStamps(pdfDoc, customerConfig, chemicals, sectionPages) {
+        const pages = pdfDoc.getPages();
+        const totalPages = pages.length;
+        const customerName = customerConfig.customer_info.name;
+        const generated = `Generated: ${new Date().toLocaleDateString()}`;
+        const font = this.embeddedFonts.helvetica;
+        const size = 8;
+        
+        // Every page from a divider up to the next section belongs to that chemical
+        const chemicalByPage = new Map();
+        sectionPages.chemicals.forEach((section, index) => {
+            const nextSection = sectionPages.chemicals[index + 1]?.divider || sectionPages.contact;
+            for (let pageNumber = section.divider; pageNumber < nextSection; pageNumber++) {
+                chemicalByPage.set(pageNumber, chemicals[index].name);
+            }
         });
         
-        let yPos = height - 140;
-        
-        const complianceText = [
-            'Hazard Communication Standard (29 CFR 1910.1200)',
-            '',
-            'This GHS Safety Binder is maintained in accordance with the OSHA Hazard',
-            'Communication Standard, which requires employers to provide workers with',
-            'effective information and training on hazardous chemicals in their work area.',
-            '',
-            'Key Requirements:',
-            `• Safety Data Sheets (SDS) must be readily accessible to employees`,
-            `• Chemical inventory must be maintained and updated`,
-            `• Employee training on chemical hazards is required`,
-            `• Container labeling must follow GHS standards`,
-            '',
-            'Emergency Access:',
-            'This safety information is available 24/7 without restrictions for emergency',
-            'response and compliance purposes. No login or password is required for',
-            'emergency personnel to access critical safety information.',
-            '',
-            'Document Currency:',
-            'All Safety Data Sheets should be reviewed regularly and updated when',
-            'newer versions become available from chemical suppliers. Employers are',
-            'responsible for maintaining current safety information.',
-            '',
-            `Last Updated: ${customerConfig.site_settings.last_updated}`,
-            `Total Chemical Products: ${customerConfig.chemicals.filter(c => c.active).length}`,
-            `System Generated: ${new Date().toLocaleDateString()}`
-        ];
+        // The cover and dividers have a colored band behind the header
+        const bandedPages = new Set([1, ...sectionPages.chemicals.map(section => section.divider)]);
         
-        complianceText.forEach(line => {
-            if (line.startsWith('•')) {
-                this.drawTextSafe(page, line, {
-                    x: 70,
-                    y: yPos,
-                    size: 11,
-                    font: this.embeddedFonts.helvetica,
-                    color: this.colors.text
-                });
-            } else if (line.includes(':') && !line.includes('CFR')) {
-                this.drawTextSafe(page, line, {
-                    x: 50,
-                    y: yPos,
-                    size: 12,
-                    font: this.embeddedFonts.helveticaBold,
-                    color: this.colors.secondary
-                });
-            } else {
-                this.drawTextSafe(page, line, {
-                    x: 50,
-                    y: yPos,
-                    size: 11,
-                    font: this.embeddedFonts.helvetica,
-                    color: this.colors.text
-                });
+        pages.forEach((page, index) => {
+            const pageNumber = index + 1;
+            const headerColor = bandedPages.has(pageNumber) ? this.colors.white : this.colors.secondary;
+            const chemicalName = chemicalByPage.get(pageNumber);
+            
+            this.drawStamp(page, this.truncateToWidth(customerName, 260, size, font), 'left', 'top', size, font, headerColor);
+            this.drawStamp(page, 'GHS Safety Data Binder', 'right', 'top', size, font, headerColor);
+            
+            this.drawStamp(page, generated, 'left', 'bottom', size, font, this.colors.text);
+            if (chemicalName) {
+                this.drawStamp(page, this.truncateToWidth(chemicalName, 220, size, font), 'center', 'bottom', size, font, this.colors.text);
             }
-            yPos -= 18;
+            this.drawStamp(page, `Page ${pageNumber} of ${totalPages}`, 'right', 'bottom', size, font, this.colors.text);
         });
     }
 
     /**
-     * Add chemical section with safe text rendering
+     * Draw a header/footer stamp in the page margin as the page is displayed,
+     * compensating for the crop box offset and any /Rotate on merged pages
      */
-    async addChemicalSection(pdfDoc, chemical, chemicalNum, customerConfig) {
-        // Add section divider page
-        const dividerPage = pdfDoc.addPage([612, 792]);
-        const { width, height } = dividerPage.getSize();
-        
-        // Chemical section header
-        dividerPage.drawRectangle({
-            x: 0,
-            y: height - 120,
-            width: width,
-            height: 120,
-            color: this.colors.lightGray
-        });
-        
-        this.drawTextSafe(dividerPage, `Chemical ${chemicalNum}`, {
-            x: 50,
-            y: height - 60,
-            size: 18,
-            font: this.embeddedFonts.helveticaBold,
-            color: this.colors.secondary
-        });
-        
-        this.drawTextSafe(dividerPage, chemical.name, {
-            x: 50,
-            y: height - 90,
-            size: 24,
-            font: this.embeddedFonts.helveticaBold,
-            color: this.colors.primary
+    drawStamp(page, text, align, edge, size, font, color) {
+        const box = page.getCropBox();
+        const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+        const sideways = rotation === 90 || rotation === 270;
+        const visualWidth = sideways ? box.height : box.width;
+        const visualHeight = sideways ? box.width : box.height;
+        
+        const margin = 36;
+        const textWidth = this.measureText(text, size, font);
+        const vx = align === 'left' ? margin
+            : align === 'right' ? visualWidth - margin - textWidth
+            : (visualWidth - textWidth) / 2;
+        const vy = edge === 'top' ? visualHeight - 20 : 16;
+        
+        // Map display coordinates back into the page's unrotated user space
+        const positions = {
+            0: { x: box.x + vx, y: box.y + vy },
+            90: { x: box.x + box.width - vy, y: box.y + vx },
+            180: { x: box.x + box.width - vx, y: box.y + box.height - vy },
+            270: { x: box.x + vy, y: box.y + box.height - vx }
+        };
+        const position = positions[rotation] || positions[0];
+        
+        this.drawTextSafe(page, text, {
+            x: position.x,
+            y: position.y,
+            size,
+            font,
+            color,
+            rotate: degrees(positions[rotation] ? rotation : 0)
         });
+    }
+
+    /**
+     * Build the catalog /Outlines tree from nested { title, pageRef, children } items
+     */
+    addOutline(pdfDoc, items) {
+        const context = pdfDoc.context;
+        const outlinesRef = context.nextRef();
         
-        // Chemical details
-        const details = [
-            `Type: ${chemical.type || 'Chemical Product'}`,
-            `Category: ${chemical.category || 'General Use'}`,
-            `Literature Available: ${chemical.literature ? 'Yes' : 'No'}`,
-            `SDS Available: ${chemical.sds ? 'Yes' : 'No'}`,
-            `Last Updated: ${chemical.last_updated || 'Not specified'}`
-        ];
-        
-        let yPos = height - 160;
-        details.forEach(detail => {
-            this.drawTextSafe(dividerPage, detail, {
-                x: 70,
-                y: yPos,
-                size: 12,
-                font: this.embeddedFonts.helvetica,
-                color: this.colors.text
+        const buildLevel = (nodes, parentRef) => {
+            const refs = nodes.map(() => context.nextRef());
+            let visibleCount = 0;
+            
+            nodes.forEach((node, index) => {
+                const entry = {
+                    Title: PDFHexString.fromText(node.title),
+                    Parent: parentRef,
+                    Dest: context.obj([node.pageRef, 'XYZ', null, null, null])
+                };
+                
+                if (index > 0) entry.Prev = refs[index - 1];
+                if (index < nodes.length - 1) entry.Next = refs[index + 1];
+                
+                // Children start collapsed: a negative Count marks a closed item
+                if (node.children && node.children.length > 0) {
+                    const childLevel = buildLevel(node.children, refs[index]);
+                    entry.First = childLevel.first;
+                    entry.Last = childLevel.last;
+                    entry.Count = -childLevel.count;
+                }
+                
+                context.assign(refs[index], context.obj(entry));
+                visibleCount += 1;
             });
-            yPos -= 20;
-        });
+            
+            return { first: refs[0], last: refs[refs.length - 1], count: visibleCount };
+        };
         
-        // Documents included notice
-        this.drawTextSafe(dividerPage, 'Documents Included:', {
-            x: 50,
-            y: yPos - 20,
-            size: 14,
-            font: this.embeddedFonts.helveticaBold,
-            color: this.colors.secondary
+        const topLevel = buildLevel(items, outlinesRef);
+        context.assign(outlinesRef, context.obj({
+            Type: 'Outlines',
+            First: topLevel.first,
+            Last: topLevel.last,
+            Count: topLevel.count
+        }));
+        
+        pdfDoc.catalog.set(PDFName.of('Outlines'), outlinesRef);
+        pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+    }
+
+    /**
+     * Add an invisible GoTo link annotation covering rect [x1, y1, x2, y2]
+     */
+    addInternalLink(pdfDoc, page, rect, targetPageRef) {
+        const context = pdfDoc.context;
+        const annotation = context.obj({
+            Type: 'Annot',
+            Subtype: 'Link',
+            Rect: rect,
+            Border: [0, 0, 0],
+            A: {
+                S: 'GoTo',
+                D: [targetPageRef, 'XYZ', null, null, null]
+            }
         });
         
-        if (chemical.literature) {
-            this.drawTextSafe(dividerPage, `• Product Literature: ${chemical.literature.filename}`, {
-                x: 70,
-                y: yPos - 45,
-                size: 11,
-                font: this.embeddedFonts.helvetica,
-                color: this.colors.text
-            });
-        }
+        page.node.addAnnot(context.register(annotation));
+    }
+
+    /**
+     * Draw text so that it ends at the given x position
+     */
+    drawRightAligned(page, text, rightX, y, size, font, color = this.colors.text) {
+        const textWidth = font.widthOfTextAtSize(text, size);
+        this.drawTextSafe(page, text, { x: rightX - textWidth, y, size, font, color });
+    }
+
+    /**
+     * Measure text width with the font drawTextSafe would actually use
+     */
+    measureText(text, size, font) {
+        const measuringFont = this.embeddedFonts.unicode && this.containsSpecialChars(text)
+            ? this.embeddedFonts.unicode
+            : font;
         
-        if (chemical.sds) {
-            this.drawTextSafe(dividerPage, `• Safety Data Sheet: ${chemical.sds.filename}`, {
-                x: 70,
-                y: yPos - 65,
-                size: 11,
-                font: this.embeddedFonts.helvetica,
-                color: this.colors.text
-            });
+        try {
+            return measuringFont.widthOfTextAtSize(text, size);
+        } catch (encodingError) {
+            // Rough estimate for characters the font cannot encode
+            return text.length * size * 0.6;
         }
+    }
+
+    /**
+     * Shorten text with an ellipsis so it fits within maxWidth
+     */
+    truncateToWidth(text, maxWidth, size, font) {
+        const measure = value => this.measureText(value, size, font);
         
-        // Add document placeholders
-        if (chemical.literature) {
-            await this.addDocumentPlaceholder(pdfDoc, 'Product Literature', chemical.literature.filename);
+        if (measure(text) <= maxWidth) {
+            return text;
         }
         
-        if (chemical.sds) {
-            await this.addDocumentPlaceholder(pdfDoc, 'Safety Data Sheet', chemical.sds.filename);
+        let truncated = text;
+        while (truncated.length > 0 && measure(truncated + '...') > maxWidth) {
+            truncated = truncated.slice(0, -1);
         }
+        return truncated.trimEnd() + '...';
     }
 
     /**
-     * Add document placeholder (in full version, would merge actual PDF)
+     * Break text into lines no wider than maxWidth, measured with the font
+     * drawTextSafe will use. Explicit newlines are kept and over-long words are split.
      */
-    async addDocumentPlaceholder(pdfDoc, docType, filename) {
-        const page = pdfDoc.addPage([612, 792]);
-        const { width, height } = page.getSize();
-        
-        // Center the placeholder text
-        this.drawTextSafe(page, `${docType}`, {
-            x: width / 2 - 80,
-            y: height / 2 + 50,
-            size: 20,
-            font: this.embeddedFonts.helveticaBold,
-            color: this.colors.secondary
-        });
+    wrapText(text, maxWidth, size, font) {
+        const lines = [];
         
-        this.drawTextSafe(page, `Filename: ${filename}`, {
-            x: width / 2 - 100,
-            y: height / 2,
-            size: 14,
-            font: this.embeddedFonts.helvetica,
-            color: this.colors.text
+        String(text ?? '').split(/\r?\n/).forEach(paragraph => {
+            const words = paragraph.split(/\s+/).filter(Boolean);
+            let line = '';
+            
+            words.forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (this.measureText(candidate, size, font) <= maxWidth) {
+                    line = candidate;
+                    return;
+                }
+                
+                if (line) {
+                    lines.push(line);
+                }
+                
+                // Split words longer than a whole line (URLs, long product codes)
+                line = word;
+                while (line.length > 1 && this.measureText(line, size, font) > maxWidth) {
+                    let cut = line.length - 1;
+                    while (cut > 1 && this.measureText(line.slice(0, cut), size, font) > maxWidth) {
+                        cut--;
+                    }
+                    lines.push(line.slice(0, cut));
+                    line = line.slice(cut);
+                }
+            });
+            
+            lines.push(line);
         });
         
-        this.drawTextSafe(page, 'Note: In production, the actual PDF content would be merged here.', {
-            x: width / 2 - 180,
-            y: height / 2 - 50,
-            size: 10,
-            font: this.embeddedFonts.helvetica,
-            color: this.colors.text
-        });
+        return lines;
+    }
+
+    /**
+     * Draw wrapped text in a fixed box (no page flow), truncating after maxLines.
+     * Returns the baseline for whatever follows the last line.
+     */
+    drawWrappedText(page, text, { x, y, width, size, font, color = this.colors.text, lineHeight = size * 1.3, maxLines = Infinity }) {
+        let lines = this.wrapText(text, width, size, font);
         
-        this.drawTextSafe(page, 'This is a placeholder page for development purposes.', {
-            x: width / 2 - 150,
-            y: height / 2 - 70,
-            size: 10,
-            font: this.embeddedFonts.helvetica,
-            color: this.colors.text
+        if (lines.length > maxLines) {
+            const overflow = lines.slice(maxLines - 1).join(' ');
+            lines = lines.slice(0, maxLines - 1).concat(this.truncateToWidth(overflow, width, size, font));
+        }
+        
+        lines.forEach((line, index) => {
+            this.drawTextSafe(page, line, { x, y: y - index * lineHeight, size, font, color });
         });
+        
+        return y - lines.length * lineHeight;
     }
 
     /**
-     * Add contact information page
+     * Draw a page heading in the standard position and return the first body baseline
      */
-    async addContactPage(pdfDoc, customerConfig) {
-        const page = pdfDoc.addPage([612, 792]);
+    drawPageHeading(page, title, size = 20) {
         const { width, height } = page.getSize();
         
-        // Header
-        this.drawTextSafe(page, 'Contact Information', {
+        this.drawWrappedText(page, title, {
             x: 50,
             y: height - 80,
-            size: 20,
+            width: width - 100,
+            size,
             font: this.embeddedFonts.helveticaBold,
-            color: this.colors.secondary
+            color: this.colors.secondary,
+            maxLines: 1
         });
         
-        let yPos = height - 140;
+        return height - 140;
+    }
+
+    /**
+     * Start a text flow: text wraps to the box width and continues on new
+     * letter pages once it reaches the bottom margin. onNewPage(page) may
+     * decorate a continuation page and return the baseline to resume from.
+     */
+    createTextFlow(pdfDoc, page, { x = 50, y, width, bottom = 60, onNewPage } = {}) {
+        const { width: pageWidth, height } = page.getSize();
+        
+        return {
+            pdfDoc,
+            page,
+            x,
+            y: y ?? height - 80,
+            width: width ?? pageWidth - x - 50,
+            bottom,
+            onNewPage
+        };
+    }
+
+    /**
+     * Move the flow to a new page unless `height` points still fit above the bottom margin
+     */
+    ensureFlowSpace(flow, height = 0) {
+        if (flow.y - height >= flow.bottom) {
+            return;
+        }
         
-        // Customer contact info
-        const contact = customerConfig.customer_info.contact;
+        flow.page = flow.pdfDoc.addPage([612, 792]);
+        flow.y = (flow.onNewPage && flow.onNewPage(flow.page)) || flow.page.getSize().height - 80;
+    }
+
+    /**
+     * Flow one paragraph. Bullets get a hanging indent; headings are kept with the next line.
+     */
+    flowText(flow, text, {
+        size = 11,
+        font = this.embeddedFonts.helvetica,
+        color = this.colors.text,
+        indent = 0,
+        bullet = null,
+        lineHeight = size * 1.4,
+        spaceBefore = 0,
+        spaceAfter = 0,
+        keepWithNext = false
+    } = {}) {
+        const bulletWidth = bullet ? this.measureText(`${bullet} `, size, font) : 0;
+        const lines = this.wrapText(text, flow.width - indent - bulletWidth, size, font);
+        
+        flow.y -= spaceBefore;
+        this.ensureFlowSpace(flow, keepWithNext ? lineHeight * 2 : 0);
+        
+        lines.forEach((line, index) => {
+            this.ensureFlowSpace(flow);
+            
+            if (bullet && index === 0) {
+                this.drawTextSafe(flow.page, bullet, { x: flow.x + indent, y: flow.y, size, font, color });
+            }
+            
+            this.drawTextSafe(flow.page, line, { x: flow.x + indent + bulletWidth, y: flow.y, size, font, color });
+            flow.y -= lineHeight;
+        });
         
-        this.drawTextSafe(page, 'Customer Contact:', {
-            x: 50,
-            y: yPos,
-            size: 16,
-            font: this.embeddedFonts.helveticaBold,
-            color: this.colors.primary
+        flow.y -= spaceAfter;
+    }
+
+    /**
+     * Flow a highlighted box with a title and wrapped body text (a string or a
+     * list of paragraphs), moving it to the next page as a whole when it does not fit
+     */
+    flowBox(flow, title, text, {
+        size = 11,
+        lineHeight = 15,
+        padding = 12,
+        fill = this.colors.warningFill,
+        border = this.colors.warning,
+        titleColor = this.colors.warningText
+    } = {}) {
+        const paragraphs = Array.isArray(text) ? text : [text];
+        const lines = paragraphs.flatMap(paragraph => this.wrapText(paragraph, flow.width - padding * 2 - 6, size, this.embeddedFonts.helvetica));
+        const titleHeight = 20;
+        const boxHeight = padding * 2 + titleHeight + lines.length * lineHeight;
+        const pageHeight = flow.page.getSize().height;
+        
+        // A box taller than a page cannot move as a whole, so only ask for a page's worth of room
+        this.ensureFlowSpace(flow, Math.min(boxHeight, pageHeight - 80 - flow.bottom));
+        
+        const top = flow.y + size;
+        flow.page.drawRectangle({
+            x: flow.x,
+            y: top - boxHeight,
+            width: flow.width,
+            height: boxHeight,
+            color: fill,
+            borderColor: border,
+            borderWidth: 1
+        });
+        flow.page.drawRectangle({
+            x: flow.x,
+            y: top - boxHeight,
+            width: 5,
+            height: boxHeight,
+            color: border
         });
-        yPos -= 30;
         
-        const contactInfo = [
-            `Company: ${contact.company || 'Not specified'}`,
-            `Phone: ${contact.phone || 'Not specified'}`,
-            `Email: ${contact.email || 'Not specified'}`,
-            `Address: ${contact.address || 'Not specified'}`
-        ];
+        let y = top - padding - size;
+        this.drawTextSafe(flow.page, title, {
+            x: flow.x + padding + 6,
+            y,
+            size: size + 1,
+            font: this.embeddedFonts.helveticaBold,
+            color: titleColor
+        });
+        y -= titleHeight;
         
-        contactInfo.forEach(info => {
-            this.drawTextSafe(page, info, {
-                x: 70,
-                y: yPos,
-                size: 12,
+        lines.forEach(line => {
+            this.drawTextSafe(flow.page, line, {
+                x: flow.x + padding + 6,
+                y,
+                size,
                 font: this.embeddedFonts.helvetica,
                 color: this.colors.text
             });
-            yPos -= 20;
+            y -= lineHeight;
         });
         
-        yPos -= 30;
+        flow.y = top - boxHeight - 20;
+    }
+
+    /**
+     * Flow a list of { style, text } blocks using the shared page styles.
+     * Any style property (size, color, indent...) can be overridden per block.
+     */
+    flowBlocks(flow, blocks) {
+        const styles = {
+            heading: { size: 12, font: this.embeddedFonts.helveticaBold, color: this.colors.secondary, spaceBefore: 10, keepWithNext: true },
+            paragraph: { size: 11 },
+            bullet: { size: 11, indent: 20, bullet: '•' },
+            detail: { size: 12, indent: 20 },
+            spacer: {}
+        };
         
-        // Emergency contact
-        this.drawTextSafe(page, 'EMERGENCY Contact:', {
-            x: 50,
-            y: yPos,
-            size: 16,
-            font: this.embeddedFonts.helveticaBold,
-            color: this.colors.red
+        blocks.forEach(({ style = 'paragraph', text = '', ...overrides }) => {
+            if (style === 'spacer') {
+                flow.y -= overrides.height ?? 12;
+                return;
+            }
+            
+            this.flowText(flow, text, { ...styles[style], ...overrides });
         });
-        yPos -= 30;
+    }
+
+    /**
+     * Add compliance information page with safe text
+     */
+    async addComplianceInfo(pdfDoc, customerConfig) {
+        const page = pdfDoc.addPage([612, 792]);
         
-        this.drawTextSafe(page, `Emergency Line: ${contact.emergency || 'See customer contact above'}`, {
-            x: 70,
-            y: yPos,
-            size: 12,
-            font: this.embeddedFonts.helvetica,
-            color: this.colors.text
+        // Header
+        const flow = this.createTextFlow(pdfDoc, page, {
+            y: this.drawPageHeading(page, 'OSHA Compliance Information'),
+            onNewPage: newPage => this.drawPageHeading(newPage, 'OSHA Compliance Information (continued)')
         });
-        yPos -= 20;
         
-        this.drawTextSafe(page, 'For chemical emergencies, contact your chemical supplier immediately.', {
-            x: 70,
-            y: yPos,
-            size: 11,
-            font: this.embeddedFonts.helvetica,
-            color: this.colors.text
+        this.flowBlocks(flow, [
+            { text: 'Hazard Communication Standard (29 CFR 1910.1200)', spaceAfter: 10 },
+            { text: 'This GHS Safety Binder is maintained in accordance with the OSHA Hazard Communication Standard, which requires employers to provide workers with effective information and training on hazardous chemicals in their work area.' },
+            { style: 'heading', text: 'Key Requirements:' },
+            { style: 'bullet', text: 'Safety Data Sheets (SDS) must be readily accessible to employees' },
+            { style: 'bullet', text: 'Chemical inventory must be maintained and updated' },
+            { style: 'bullet', text: 'Employee training on chemical hazards is required' },
+            { style: 'bullet', text: 'Container labeling must follow GHS standards' },
+            { style: 'heading', text: 'Emergency Access:' },
+            { text: 'This safety information is available 24/7 without restrictions for emergency response and compliance purposes. No login or password is required for emergency personnel to access critical safety information.' },
+            { style: 'heading', text: 'Document Currency:' },
+            { text: 'All Safety Data Sheets should be reviewed regularly and updated when newer versions become available from chemical suppliers. Employers are responsible for maintaining current safety information.' },
+            { style: 'spacer' },
+            { style: 'heading', text: `Last Updated: ${customerConfig.site_settings.last_updated}`, spaceBefore: 0, keepWithNext: false },
+            { style: 'heading', text: `Total Chemical Products: ${customerConfig.chemicals.filter(c => c.active).length}`, spaceBefore: 0, keepWithNext: false },
+            { style: 'heading', text: `System Generated: ${new Date().toLocaleDateString()}`, spaceBefore: 0, keepWithNext: false }
+        ]);
+    }
+
+    /**
+     * Add chemical section with safe text rendering.
+     * Returns the start page of the divider, Literature and SDS.
+     */
+    async addChemicalSection(pdfDoc, chemical, chemicalNum, customerConfig, documents = {}) {
+        // 1-based start pages of this section, used by the table of contents
+        const sectionPages = { divider: pdfDoc.getPageCount() + 1, literature: null, sds: null };
+        
+        // Add section divider page
+        const dividerPage = pdfDoc.addPage([612, 792]);
+        const { width, height } = dividerPage.getSize();
+        
+        // Chemical section header band in the customer's colors
+        dividerPage.drawRectangle({
+            x: 0,
+            y: height - 120,
+            width: width,
+            height: 120,
+            color: this.colors.primary
         });
         
-        yPos -= 60;
+        dividerPage.drawRectangle({
+            x: 0,
+            y: height - 126,
+            width: width,
+            height: 6,
+            color: this.colors.secondary
+        });
         
-        // System provider info
-        this.drawTextSafe(page, 'System Provider:', {
+        this.drawTextSafe(dividerPage, `Chemical ${chemicalNum}`, {
             x: 50,
-            y: yPos,
-            size: 16,
+            y: height - 55,
+            size: 18,
             font: this.embeddedFonts.helveticaBold,
-            color: this.colors.secondary
+            color: this.colors.white
         });
-        yPos -= 30;
         
-        const providerInfo = [
-            'RascoWeb, Inc.',
-            'Professional GHS Binder System',
-            'Web: https://rascoweb.com',
-            'Email: support@rascoweb.com'
-        ];
+        this.drawWrappedText(dividerPage, chemical.name, {
+            x: 50,
+            y: height - 85,
+            width: width - 100,
+            size: 22,
+            font: this.embeddedFonts.helveticaBold,
+            color: this.colors.white,
+            lineHeight: 25,
+            maxLines: 2
+        });
         
-        providerInfo.forEach(info => {
-            this.drawTextSafe(page, info, {
-                x: 70,
-                y: yPos,
-                size: 12,
-                font: this.embeddedFonts.helvetica,
-                color: this.colors.text
+        const flow = this.createTextFlow(pdfDoc, dividerPage, {
+            y: height - 160,
+            onNewPage: newPage => this.drawPageHeading(newPage, `${chemical.name} (continued)`, 16)
+        });
+        
+        // Product summary - rows for fields the record does not carry are left out
+        if (chemical.description) {
+            this.flowText(flow, chemical.description, { size: 12, lineHeight: 17, spaceAfter: 12 });
+        }
+        
+        // Structured GHS data replaces the free-text hazards blurb when present
+        const ghs = expandGHSClassification(chemical.ghs);
+        if (ghs) {
+            this.flowGHSClassification(flow, ghs);
+        } else if (chemical.hazards) {
+            this.flowBox(flow, 'Key Hazards', chemical.hazards);
+        }
+        
+        const details = [
+            ['Supplier', chemical.supplier],
+            ['SDS Revision Date', chemical.sds?.revision_date],
+            ['Last Updated', chemical.last_updated]
+        ].filter(([, value]) => value);
+        
+        this.flowBlocks(flow, details.map(([label, value]) => ({ style: 'detail', text: `${label}: ${value}`, indent: 0 })));
+        
+        // Documents included notice
+        const included = [{ style: 'heading', text: 'Documents Included:', size: 14, spaceBefore: details.length > 0 ? 20 : 0 }];
+        if (chemical.literature) {
+            included.push({ style: 'bullet', text: `Product Literature: ${chemical.literature.filename}` });
+        }
+        if (chemical.sds) {
+            included.push({ style: 'bullet', text: `Safety Data Sheet: ${chemical.sds.filename}` });
+        }
+        this.flowBlocks(flow, included);
+        
+        // Merge the actual source documents
+        if (documents.literature) {
+            sectionPages.literature = pdfDoc.getPageCount() + 1;
+            await this.appendDocument(pdfDoc, documents.literature);
+        }
+        
+        if (documents.sds) {
+            sectionPages.sds = pdfDoc.getPageCount() + 1;
+            await this.appendDocument(pdfDoc, documents.sds);
+        }
+        
+        return sectionPages;
+    }
+
+    /**
+     * Flow an expanded GHS classification: signal word badge, hazard statements
+     * box and the precautionary statements list
+     */
+    flowGHSClassification(flow, ghs) {
+        if (ghs.signal_word) {
+            const size = 14;
+            const font = this.embeddedFonts.helveticaBold;
+            const label = ghs.signal_word.toUpperCase();
+            
+            this.ensureFlowSpace(flow, 30);
+            flow.page.drawRectangle({
+                x: flow.x,
+                y: flow.y - 12,
+                width: this.measureText(label, size, font) + 28,
+                height: size + 12,
+                color: ghs.signal_word === 'Danger' ? this.colors.red : this.colors.warning
+            });
+            this.drawTextSafe(flow.page, label, { x: flow.x + 14, y: flow.y - 4, size, font, color: this.colors.white });
+            flow.y -= 40;
+        }
+        
+        if (ghs.pictograms.length > 0) {
+            this.flowPictograms(flow, ghs.pictograms);
+        }
+        
+        if (ghs.hazard_statements.length > 0) {
+            this.flowBox(flow, 'Hazard Statements', ghs.hazard_statements.map(statement => `${statement.code}  ${statement.text}`));
+        }
+        
+        if (ghs.precautionary_statements.length > 0) {
+            this.flowBlocks(flow, [
+                { style: 'heading', text: 'Precautionary Statements', spaceBefore: 0 },
+                ...ghs.precautionary_statements.map(statement => ({ style: 'bullet', text: `${statement.code}  ${statement.text}`, size: 10 })),
+                { style: 'spacer' }
+            ]);
+        }
+    }
+
+    /**
+     * Flow a row of GHS pictograms with their names captioned underneath
+     */
+    flowPictograms(flow, pictograms, size = 64) {
+        const gap = 16;
+        const captionSize = 8;
+        const perRow = Math.max(1, Math.floor((flow.width + gap) / (size + gap)));
+        
+        for (let start = 0; start < pictograms.length; start += perRow) {
+            this.ensureFlowSpace(flow, size + 30);
+            const top = flow.y + 10;
+            
+            pictograms.slice(start, start + perRow).forEach((pictogram, index) => {
+                const x = flow.x + index * (size + gap);
+                this.drawPictogram(flow.page, pictogram.code, x, top, size);
+                
+                const captionLines = this.wrapText(pictogram.name, size + gap - 4, captionSize, this.embeddedFonts.helvetica).slice(0, 2);
+                captionLines.forEach((line, lineIndex) => {
+                    this.drawTextSafe(flow.page, line, {
+                        x: x + (size - this.measureText(line, captionSize, this.embeddedFonts.helvetica)) / 2,
+                        y: top - size - 10 - lineIndex * (captionSize + 2),
+                        size: captionSize,
+                        font: this.embeddedFonts.helvetica,
+                        color: this.colors.text
+                    });
+                });
             });
-            yPos -= 20;
+            
+            flow.y = top - size - 46;
+        }
+    }
+
+    /**
+     * Draw a GHS pictogram from the bundled vector artwork with its top-left corner at (x, top)
+     */
+    drawPictogram(page, code, x, top, size = 64) {
+        const layers = getPictogramLayers(code);
+        if (!layers) return;
+        
+        const colors = { red: this.hexToRgb(PICTOGRAM_RED), white: rgb(1, 1, 1), black: rgb(0, 0, 0) };
+        const scale = size / 100;
+        
+        layers.forEach(layer => {
+            page.drawSvgPath(layer.d, layer.stroke
+                ? { x, y: top, scale, borderColor: colors[layer.stroke], borderWidth: 1.5 }
+                : { x, y: top, scale, color: colors[layer.fill] });
         });
     }
 
+    /**
+     * Load the Literature and SDS PDFs for every chemical from the pdfs directory.
+     * Missing, encrypted or corrupt files are collected and reported in one error.
+     */
+    async loadSourceDocuments(chemicals) {
+        const documents = new Map();
+        const problems = [];
+        
+        for (const chemical of chemicals) {
+            const entry = {};
+            const files = [
+                { key: 'literature', type: 'Literature', data: chemical.literature },
+                { key: 'sds', type: 'SDS', data: chemical.sds }
+            ];
+            
+            for (const file of files) {
+                if (!file.data?.filename) continue;
+                
+                try {
+                    entry[file.key] = await this.loadSourceDocument(file.data.filename);
+                } catch (error) {
+                    problems.push(`${chemical.name} (${file.type}): ${error.message}`);
+                }
+            }
+            
+            documents.set(chemical, entry);
+        }
+        
+        if (problems.length > 0) {
+            problems.forEach(problem => console.error(`❌ ${problem}`));
+            const error = new Error(`Cannot build binder, ${problems.length} source document(s) unusable:\n  - ${problems.join('\n  - ')}`);
+            error.problems = problems;
+            throw error;
+        }
+        
+        return documents;
+    }
+
+    /**
+     * Load a single source PDF, translating failures into readable messages
+     */
+    async loadSourceDocument(filename) {
+        const filePath = path.join(this.pdfsPath, filename);
+        
+        let bytes;
+        try {
+            bytes = await fs.readFile(filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`file not found: ${filePath}`);
+            }
+            throw new Error(`could not read ${filePath}: ${error.message}`);
+        }
+        
+        try {
+            const document = await PDFDocument.load(bytes);
+            if (document.getPageCount() === 0) {
+                throw new Error('PDF contains no pages');
+            }
+            return document;
+        } catch (error) {
+            if (error instanceof EncryptedPDFError) {
+                throw new Error(`file is encrypted and cannot be merged: ${filename}`);
+            }
+            throw new Error(`file is corrupt or not a valid PDF: ${filename} (${error.message})`);
+        }
+    }
+
+    /**
+     * Copy every page of a loaded source document into the binder
+     */
+    async appendDocument(pdfDoc, sourceDoc) {
+        const pages = await pdfDoc.copyPages(sourceDoc, sourceDoc.getPageIndices());
+        pages.forEach(page => pdfDoc.addPage(page));
+        return pages.length;
+    }
+
+    /**
+     * Add contact information page
+     */
+    async addContactPage(pdfDoc, customerConfig) {
+        const page = pdfDoc.addPage([612, 792]);
+        
+        // Header
+        const flow = this.createTextFlow(pdfDoc, page, {
+            y: this.drawPageHeading(page, 'Contact Information'),
+            onNewPage: newPage => this.drawPageHeading(newPage, 'Contact Information (continued)')
+        });
+        
+        // Customer contact info
+        const contact = customerConfig.customer_info.contact;
+        const sectionHeading = (text, color) => ({
+            style: 'heading',
+            text,
+            size: 16,
+            color,
+            spaceBefore: 30,
+            spaceAfter: 8
+        });
+        
+        this.flowBlocks(flow, [
+            { ...sectionHeading('Customer Contact:', this.colors.primary), spaceBefore: 0 },
+            { style: 'detail', text: `Company: ${contact.company || 'Not specified'}` },
+            { style: 'detail', text: `Phone: ${contact.phone || 'Not specified'}` },
+            { style: 'detail', text: `Email: ${contact.email || 'Not specified'}` },
+            { style: 'detail', text: `Address: ${contact.address || 'Not specified'}` },
+            
+            // Emergency contact
+            sectionHeading('EMERGENCY Contact:', this.colors.red),
+            { style: 'detail', text: `Emergency Line: ${contact.emergency || 'See customer contact above'}` },
+            { text: 'For chemical emergencies, contact your chemical supplier immediately.', indent: 20 },
+            
+            // System provider info
+            { ...sectionHeading('System Provider:', this.colors.secondary), spaceBefore: 50 },
+            { style: 'detail', text: 'RascoWeb, Inc.' },
+            { style: 'detail', text: 'Professional GHS Binder System' },
+            { style: 'detail', text: 'Web: https://rascoweb.com' },
+            { style: 'detail', text: 'Email: support@rascoweb.com' }
+        ]);
+    }
+
     /**
      * Add legal disclaimer page
      */
     async addDisclaimerPage(pdfDoc, customerConfig) {
         const page = pdfDoc.addPage([612, 792]);
-        const { width, height } = page.getSize();
         
         // Header
-        this.drawTextSafe(page, 'Legal Disclaimers', {
-            x: 50,
-            y: height - 80,
-            size: 20,
+        const flow = this.createTextFlow(pdfDoc, page, {
+            y: this.drawPageHeading(page, 'Legal Disclaimers'),
+            onNewPage: newPage => this.drawPageHeading(newPage, 'Legal Disclaimers (continued)')
+        });
+        
+        const body = { size: 10, lineHeight: 15 };
+        
+        this.flowBlocks(flow, [
+            { style: 'heading', text: 'Customer Responsibility:', spaceBefore: 0 },
+            { ...body, text: `${customerConfig.customer_info.name} is solely responsible for ensuring the accuracy, completeness, and currency of all chemical safety information displayed in this binder and on the associated website.` },
+            { style: 'heading', text: 'System Provider Disclaimer:' },
+            { ...body, text: 'RascoWeb, Inc. assumes no responsibility for the accuracy, completeness, or currency of the chemical safety information provided. The customer is solely responsible for maintaining accurate and up-to-date safety documentation.' },
+            { style: 'heading', text: 'OSHA Compliance:' },
+            { ...body, text: 'It is the customer\'s responsibility to ensure compliance with all applicable OSHA regulations, including the Hazard Communication Standard (29 CFR 1910.1200). This system is provided as a tool to assist with compliance but does not guarantee regulatory compliance.' },
+            { style: 'heading', text: 'Emergency Use:' },
+            { ...body, text: 'While this system provides 24/7 access to safety information for emergency purposes, users should always contact emergency services (911) and chemical suppliers directly for immediate emergency response.' },
+            { style: 'heading', text: 'Document Currency:' },
+            { ...body, text: 'Safety Data Sheets and product literature should be updated regularly. Users should verify with chemical suppliers that they have the most current versions of all safety documentation.' },
+            { style: 'spacer', height: 15 },
+            { ...body, text: `Generated: ${new Date().toLocaleDateString()}` },
+            { ...body, text: 'Professional GHS Binder System provided by RascoWeb, Inc.' }
+        ]);
+    }
+
+    /**
+     * Generate printable letter-size QR placards for a customer's storage areas.
+     * options.groupBy is 'product' (one placard per product) or 'location' (one
+     * sheet per storage location); options.siteUrl is the deployed site's base URL.
+     */
+    async generateQRPlacards(customerConfig, options = {}) {
+        const groupBy = options.groupBy || 'product';
+        if (!['product', 'location'].includes(groupBy)) {
+            throw new Error(`Unknown placard grouping "${groupBy}" (expected product or location)`);
+        }
+        if (!options.siteUrl) {
+            throw new Error('A site URL is required to build placard QR codes');
+        }
+        
+        const slug = customerConfig.customer_info.slug;
+        if (!slug) {
+            throw new Error('Customer configuration is missing customer_info.slug');
+        }
+        
+        const chemicals = customerConfig.chemicals.filter(c => c.active);
+        if (chemicals.length === 0) {
+            throw new Error(`${customerConfig.customer_info.name} has no active chemicals to print placards for`);
+        }
+        
+        console.log(`🏷️ Generating ${groupBy} QR placards for ${customerConfig.customer_info.name}...`);
+        
+        const pdfDoc = await PDFDocument.create();
+        await this.initializeFonts(pdfDoc);
+        this.applyBranding(customerConfig);
+        
+        const siteUrl = options.siteUrl.replace(/\/+$/, '');
+        const placards = chemicals.map(chemical => {
+            const url = `${siteUrl}/#/product/${encodeURIComponent(chemical.id)}`;
+            return { chemical, url, qr: QRCode.create(url, { errorCorrectionLevel: 'M' }) };
+        });
+        
+        if (groupBy === 'product') {
+            placards.forEach(placard => this.addProductPlacard(pdfDoc, customerConfig, placard));
+        } else {
+            const locations = new Map();
+            placards.forEach(placard => {
+                const location = placard.chemical.storage_location || 'Unassigned Location';
+                if (!locations.has(location)) locations.set(location, []);
+                locations.get(location).push(placard);
+            });
+            
+            [...locations.keys()].sort().forEach(location => {
+                this.addLocationPlacard(pdfDoc, customerConfig, location, locations.get(location));
+            });
+        }
+        
+        const pdfBytes = await pdfDoc.save();
+        const filename = `qr_placards_by_${groupBy}.pdf`;
+        const outputPath = options.outputPath
+            ? path.resolve(options.outputPath)
+            : path.join(this.pdfsPath, slug, filename);
+        
+        await fs.mkdir(path.dirname(outputPath), { recursive: true });
+        await fs.writeFile(outputPath, pdfBytes);
+        
+        console.log(`✅ QR placards generated: ${outputPath} (${pdfDoc.getPageCount()} pages)`);
+        
+        return {
+            success: true,
+            path: outputPath,
+            filename: path.basename(outputPath),
+            customer: customerConfig.customer_info.name,
+            group_by: groupBy,
+            placards: placards.length,
+            pages: pdfDoc.getPageCount(),
+            bytes: pdfBytes.length,
+            generated_at: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Draw the placard header band with the customer name and return the first free baseline
+     */
+    drawPlacardHeader(page, customerConfig, subtitle) {
+        const { width, height } = page.getSize();
+        
+        page.drawRectangle({ x: 0, y: height - 90, width, height: 90, color: this.colors.primary });
+        page.drawRectangle({ x: 0, y: height - 96, width, height: 6, color: this.colors.secondary });
+        
+        this.drawTextSafe(page, this.truncateToWidth(customerConfig.customer_info.name, width - 80, 24, this.embeddedFonts.helveticaBold), {
+            x: 40,
+            y: height - 45,
+            size: 24,
             font: this.embeddedFonts.helveticaBold,
-            color: this.colors.secondary
+            color: this.colors.white
+        });
+        this.drawTextSafe(page, subtitle, {
+            x: 40,
+            y: height - 70,
+            size: 12,
+            font: this.embeddedFonts.helvetica,
+            color: this.colors.white
         });
         
-        let yPos = height - 140;
-        
-        const disclaimerText = [
-            'Customer Responsibility:',
-            `${customerConfig.customer_info.name} is solely responsible for ensuring the`,
-            'accuracy, completeness, and currency of all chemical safety information',
-            'displayed in this binder and on the associated website.',
-            '',
-            'System Provider Disclaimer:',
-            'RascoWeb, Inc. assumes no responsibility for the accuracy, completeness,',
-            'or currency of the chemical safety information provided. The customer is',
-            'solely responsible for maintaining accurate and up-to-date safety',
-            'documentation.',
-            '',
-            'OSHA Compliance:',
-            'It is the customer\'s responsibility to ensure compliance with all applicable',
-            'OSHA regulations, including the Hazard Communication Standard',
-            '(29 CFR 1910.1200). This system is provided as a tool to assist with',
-            'compliance but does not guarantee regulatory compliance.',
-            '',
-            'Emergency Use:',
-            'While this system provides 24/7 access to safety information for',
-            'emergency purposes, users should always contact emergency services',
-            '(911) and chemical suppliers directly for immediate emergency response.',
-            '',
-            'Document Currency:',
-            'Safety Data Sheets and product literature should be updated regularly.',
-            'Users should verify with chemical suppliers that they have the most',
-            'current versions of all safety documentation.',
-            '',
-            `Generated: ${new Date().toLocaleDateString()}`,
-            'Professional GHS Binder System provided by RascoWeb, Inc.'
-        ];
+        return height - 140;
+    }
+
+    /**
+     * Draw the emergency phone strip along the bottom of a placard
+     */
+    drawPlacardEmergencyStrip(page, customerConfig) {
+        const contact = customerConfig.customer_info.contact || {};
+        const phone = contact.emergency || contact.phone;
+        if (!phone) return 40;
+        
+        const { width } = page.getSize();
+        const text = `EMERGENCY: ${phone}`;
+        const size = this.measureText(text, 26, this.embeddedFonts.helveticaBold) > width - 100 ? 18 : 26;
+        
+        page.drawRectangle({ x: 40, y: 40, width: width - 80, height: 64, color: this.colors.red });
+        this.drawTextSafe(page, text, {
+            x: (width - this.measureText(text, size, this.embeddedFonts.helveticaBold)) / 2,
+            y: 72 - size / 2 + 4,
+            size,
+            font: this.embeddedFonts.helveticaBold,
+            color: this.colors.white
+        });
+        
+        return 104;
+    }
+
+    /**
+     * Draw wrapped lines centered on centerX, returning the baseline below the last line
+     */
+    drawCenteredText(page, text, { centerX, y, width, size, font, color = this.colors.text, lineHeight = size * 1.2, maxLines = Infinity }) {
+        let lines = this.wrapText(text, width, size, font);
+        if (lines.length > maxLines) {
+            lines = lines.slice(0, maxLines - 1).concat(this.truncateToWidth(lines.slice(maxLines - 1).join(' '), width, size, font));
+        }
+        
+        lines.forEach((line, index) => {
+            this.drawTextSafe(page, line, {
+                x: centerX - this.measureText(line, size, font) / 2,
+                y: y - index * lineHeight,
+                size,
+                font,
+                color
+            });
+        });
+        
+        return y - lines.length * lineHeight;
+    }
+
+    /**
+     * Draw a signal word badge centered on centerX with its baseline at y
+     */
+    drawSignalWordBadge(page, signalWord, centerX, y, size = 18) {
+        const font = this.embeddedFonts.helveticaBold;
+        const label = signalWord.toUpperCase();
+        const badgeWidth = this.measureText(label, size, font) + size * 2;
         
-        disclaimerText.forEach(line => {
-            if (line.includes(':') && line.length < 30) {
-                this.drawTextSafe(page, line, {
-                    x: 50,
-                    y: yPos,
+        page.drawRectangle({
+            x: centerX - badgeWidth / 2,
+            y: y - size * 0.6,
+            width: badgeWidth,
+            height: size * 1.8,
+            color: signalWord === 'Danger' ? this.colors.red : this.colors.warning
+        });
+        this.drawTextSafe(page, label, {
+            x: centerX - this.measureText(label, size, font) / 2,
+            y,
+            size,
+            font,
+            color: this.colors.white
+        });
+    }
+
+    /**
+     * Draw a QR code as vector modules with its top-left corner at (x, top)
+     */
+    drawQRCode(page, qr, x, top, size) {
+        const quietZone = 2;
+        const count = qr.modules.size;
+        const moduleSize = size / (count + quietZone * 2);
+        
+        page.drawRectangle({ x, y: top - size, width: size, height: size, color: this.colors.white });
+        
+        // Merge dark modules into horizontal runs to keep the content stream small
+        for (let row = 0; row < count; row++) {
+            let runStart = null;
+            for (let col = 0; col <= count; col++) {
+                const dark = col < count && qr.modules.get(row, col);
+                if (dark && runStart === null) {
+                    runStart = col;
+                } else if (!dark && runStart !== null) {
+                    page.drawRectangle({
+                        x: x + (quietZone + runStart) * moduleSize,
+                        y: top - (quietZone + row + 1) * moduleSize,
+                        width: (col - runStart) * moduleSize,
+                        height: moduleSize,
+                        color: rgb(0, 0, 0)
+                    });
+                    runStart = null;
+                }
+            }
+        }
+    }
+
+    /**
+     * Add a full-page placard for one product
+     */
+    addProductPlacard(pdfDoc, customerConfig, { chemical, url, qr }) {
+        const page = pdfDoc.addPage([612, 792]);
+        const { width } = page.getSize();
+        const centerX = width / 2;
+        
+        let y = this.drawPlacardHeader(page, customerConfig, 'GHS Safety Data Sheet Access');
+        const bottom = this.drawPlacardEmergencyStrip(page, customerConfig);
+        
+        y = this.drawCenteredText(page, chemical.name, {
+            centerX,
+            y,
+            width: width - 80,
+            size: 30,
+            font: this.embeddedFonts.helveticaBold,
+            color: this.colors.text,
+            lineHeight: 34,
+            maxLines: 2
+        }) - 14;
+        
+        const signalWord = chemical.ghs?.signal_word;
+        if (signalWord) {
+            this.drawSignalWordBadge(page, signalWord, centerX, y - 8);
+            y -= 48;
+        }
+        
+        // QR code fills the space left above the caption and emergency strip
+        const qrSize = Math.min(300, y - bottom - 90);
+        this.drawQRCode(page, qr, centerX - qrSize / 2, y, qrSize);
+        y -= qrSize + 42;
+        
+        this.drawCenteredText(page, 'SCAN FOR SDS', {
+            centerX,
+            y,
+            width: width - 80,
+            size: 34,
+            font: this.embeddedFonts.helveticaBold,
+            color: this.colors.text
+        });
+        
+        this.drawCenteredText(page, url, {
+            centerX,
+            y: y - 22,
+            width: width - 80,
+            size: 9,
+            font: this.embeddedFonts.helvetica,
+            color: this.colors.text,
+            maxLines: 1
+        });
+    }
+
+    /**
+     * Add placard sheets for one storage location, six product cards per page
+     */
+    addLocationPlacard(pdfDoc, customerConfig, location, placards) {
+        const perPage = 6;
+        const gap = 16;
+        
+        for (let start = 0; start < placards.length; start += perPage) {
+            const page = pdfDoc.addPage([612, 792]);
+            const { width } = page.getSize();
+            
+            let top = this.drawPlacardHeader(page, customerConfig, 'GHS Safety Data Sheet Access - Scan for SDS');
+            const bottom = this.drawPlacardEmergencyStrip(page, customerConfig);
+            
+            const heading = start === 0 ? `Storage Location: ${location}` : `Storage Location: ${location} (continued)`;
+            this.drawTextSafe(page, this.truncateToWidth(heading, width - 80, 20, this.embeddedFonts.helveticaBold), {
+                x: 40,
+                y: top,
+                size: 20,
+                font: this.embeddedFonts.helveticaBold,
+                color: this.colors.secondary
+            });
+            top -= 20;
+            
+            const cardWidth = (width - 80 - gap) / 2;
+            const cardHeight = (top - bottom - gap * 3) / 3;
+            
+            placards.slice(start, start + perPage).forEach(({ chemical, qr }, index) => {
+                const x = 40 + (index % 2) * (cardWidth + gap);
+                const cardTop = top - Math.floor(index / 2) * (cardHeight + gap);
+                const qrSize = Math.min(cardHeight - 24, cardWidth * 0.45);
+                
+                page.drawRectangle({
+                    x,
+                    y: cardTop - cardHeight,
+                    width: cardWidth,
+                    height: cardHeight,
+                    borderColor: this.colors.secondary,
+                    borderWidth: 1.5
+                });
+                
+                this.drawQRCode(page, qr, x + 10, cardTop - (cardHeight - qrSize) / 2, qrSize);
+                
+                const textX = x + qrSize + 20;
+                const textWidth = cardWidth - qrSize - 30;
+                let y = this.drawWrappedText(page, chemical.name, {
+                    x: textX,
+                    y: cardTop - 24,
+                    width: textWidth,
                     size: 12,
                     font: this.embeddedFonts.helveticaBold,
-                    color: this.colors.secondary
-                });
-            } else {
-                this.drawTextSafe(page, line, {
-                    x: 50,
-                    y: yPos,
-                    size: 10,
-                    font: this.embeddedFonts.helvetica,
+                    color: this.colors.text,
+                    lineHeight: 15,
+                    maxLines: 4
+                }) - 8;
+                
+                const signalWord = chemical.ghs?.signal_word;
+                if (signalWord) {
+                    this.drawTextSafe(page, signalWord.toUpperCase(), {
+                        x: textX,
+                        y,
+                        size: 13,
+                        font: this.embeddedFonts.helveticaBold,
+                        color: signalWord === 'Danger' ? this.colors.red : this.colors.warning
+                    });
+                    y -= 22;
+                }
+                
+                this.drawTextSafe(page, 'Scan for SDS', {
+                    x: textX,
+                    y: Math.min(y, cardTop - cardHeight + 16),
+                    size: 11,
+                    font: this.embeddedFonts.helveticaBold,
                     color: this.colors.text
                 });
-            }
-            yPos -= 15;
-        });
+            });
+        }
     }
 }
 
@@ -845,11 +1805,13 @@ if (require.main === module) {
     const fs = require('fs');
     
     if (process.argv.length < 3) {
-        console.log('Usage: node pdf_binder_generator_v2.js <customer-config.json>');
+        console.log('Usage: node pdf_binder_generator_v2.js <customer-config.json> [output.pdf]');
+        console.log('Default output: pdfs/<customer-slug>/<site_settings.complete_binder.filename>');
         process.exit(1);
     }
     
     const configPath = process.argv[2];
+    const outputPath = process.argv[3];
     
     (async () => {
         try {
@@ -857,11 +1819,11 @@ if (require.main === module) {
             const customerConfig = JSON.parse(configData);
             
             const generator = new GHSBinderPDFGenerator();
-            const result = await generator.generateCompleteBinder(customerConfig);
+            const result = await generator.generateCompleteBinder(customerConfig, { outputPath });
             
             console.log('🎉 Binder generation complete!');
             console.log(`📄 Generated: ${result.path}`);
-            console.log(`📊 Contains: ${result.chemicals} chemicals, ${result.documents} documents`);
+            console.log(`📊 Contains: ${result.chemicals} chemicals, ${result.documents} documents, ${result.pages} pages`);
             console.log(`💾 Size: ${result.size}`);
             
         } catch (error) {
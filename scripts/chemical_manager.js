@@ -10,12 +10,33 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
 const { GHSBinderDeployer } = require('./github_deployment.js');
+const { validateGHSClassification } = require('./ghs_codes.js');
+const { buildStalenessReport } = require('./sds_review.js');
+const { isValidCASNumber, extractSDSFields, checkSDSFile, findIncompleteSDSs } = require('./sds_parser.js');
+
+// Who made a change: an explicit name, the GHS_OPERATOR env variable, or the OS user
+function getOperator(explicit) {
+    return explicit || process.env.GHS_OPERATOR || os.userInfo().username;
+}
+
+// Record of who let an SDS that failed the completeness check be deployed, and why
+function createOverride(overriddenBy, reason) {
+    return {
+        by: getOperator(overriddenBy),
+        at: new Date().toISOString(),
+        reason: reason || null
+    };
+}
 
 class ChemicalManager {
     constructor(githubToken) {
         this.deployer = new GHSBinderDeployer(githubToken);
         this.configsPath = path.join(__dirname, '../customer_configs');
+        this.pdfsPath = path.join(__dirname, '../pdfs');
+        this.uploadsPath = path.join(__dirname, '../uploads');
     }
 
     /**
@@ -41,12 +62,17 @@ class ChemicalManager {
                 return await this.updateChemical(customerSlug, chemicalId, chemicalData);
             }
             
+            const now = new Date().toISOString();
+            
             // Add chemical to configuration
             const newChemical = {
                 id: chemicalId,
                 name: chemicalData.name,
                 description: chemicalData.description || 'Professional chemical product',
                 hazards: chemicalData.hazards || 'See Safety Data Sheet for complete hazard information',
+                ghs: chemicalData.ghs ? validateGHSClassification(chemicalData.ghs) : null,
+                synonyms: chemicalData.synonyms || [],
+                cas_numbers: (chemicalData.cas_numbers || []).map(casNumber => casNumber.trim()),
                 literature: {
                     filename: chemicalData.literature.filename,
                     url: `pdfs/${chemicalData.literature.filename}`,
@@ -55,13 +81,32 @@ class ChemicalManager {
                 sds: {
                     filename: chemicalData.sds.filename,
                     url: `pdfs/${chemicalData.sds.filename}`,
-                    title: chemicalData.sds.title || `${chemicalData.name} Safety Data Sheet`
+                    title: chemicalData.sds.title || `${chemicalData.name} Safety Data Sheet`,
+                    revision_date: chemicalData.sds.revision_date || null,
+                    last_reviewed: chemicalData.sds.last_reviewed || now.split('T')[0],
+                    version: 1,
+                    file_hash: await this.hashPDF(chemicalData.sds.filename),
+                    uploaded_at: now,
+                    uploaded_by: getOperator(chemicalData.added_by)
                 },
+                sds_revisions: [],
                 supplier: chemicalData.supplier || 'Unknown Supplier',
-                last_updated: new Date().toISOString().split('T')[0],
+                emergency_phone: chemicalData.emergency_phone || null,
+                category: chemicalData.category || null,
+                storage_location: chemicalData.storage_location || null,
+                last_updated: now.split('T')[0],
                 active: true
             };
             
+            // Catch spec sheets and literature uploaded as the SDS
+            const sdsPath = await this.locateSDSFile(customerSlug, chemicalData.sds.filename);
+            if (sdsPath) {
+                newChemical.sds.completeness = await this.checkSDS(sdsPath);
+                if (chemicalData.override_sds_check && !newChemical.sds.completeness.complete) {
+                    newChemical.sds.completeness.override = createOverride(chemicalData.added_by, chemicalData.override_reason);
+                }
+            }
+            
             customerConfig.chemicals.push(newChemical);
             
             // Update site settings
@@ -70,6 +115,19 @@ class ChemicalManager {
             // Save configuration
             await this.saveCustomerConfig(customerSlug, customerConfig);
             
+            // A failed SDS check keeps the chemical in the config (and file status) but off the site
+            const sdsWarning = this.getSDSCheckWarning(newChemical);
+            if (sdsWarning) {
+                console.warn(`⚠️ Chemical "${chemicalData.name}" saved but not deployed: ${sdsWarning}`);
+                return {
+                    success: true,
+                    chemical: newChemical,
+                    deployment: null,
+                    deploy_blocked: sdsWarning,
+                    total_chemicals: customerConfig.chemicals.filter(c => c.active).length
+                };
+            }
+            
             // Redeploy site
             const deployResult = await this.deployer.deployCustomerSite(customerConfig);
             
@@ -150,8 +208,35 @@ class ChemicalManager {
                 throw new Error(`Chemical "${chemicalId}" not found`);
             }
             
-            // Update chemical data
+            // Who made the change is recorded on SDS revisions, not on the chemical itself
+            const { updated_by: updatedBy, override_sds_check: overrideCheck, override_reason: overrideReason, ...changes } = updates;
+            updates = changes;
+            
+            // Structured GHS data is stored with normalized codes
+            if (updates.ghs) {
+                updates = { ...updates, ghs: validateGHSClassification(updates.ghs) };
+            }
+            
+            if (updates.cas_numbers) {
+                this.validateCASNumbers(updates.cas_numbers);
+                updates = { ...updates, cas_numbers: updates.cas_numbers.map(casNumber => casNumber.trim()) };
+            }
+            
+            // Update chemical data, keeping the replaced SDS as a revision
             const chemical = customerConfig.chemicals[chemicalIndex];
+            if (updates.sds) {
+                const sds = await this.reviseSDS(customerConfig, chemical, updates.sds, getOperator(updatedBy));
+                
+                // A new or changed SDS file is checked again
+                const sdsPath = await this.locateSDSFile(customerSlug, sds.filename);
+                if (sdsPath) {
+                    sds.completeness = await this.checkSDS(sdsPath, sds.completeness);
+                    if (overrideCheck && !sds.completeness.complete) {
+                        sds.completeness.override = createOverride(updatedBy, overrideReason);
+                    }
+                }
+                updates = { ...updates, sds };
+            }
             Object.assign(chemical, updates);
             chemical.last_updated = new Date().toISOString().split('T')[0];
             
@@ -161,6 +246,17 @@ class ChemicalManager {
             // Save configuration
             await this.saveCustomerConfig(customerSlug, customerConfig);
             
+            const sdsWarning = this.getSDSCheckWarning(chemical);
+            if (sdsWarning) {
+                console.warn(`⚠️ Chemical "${chemical.name}" saved but not deployed: ${sdsWarning}`);
+                return {
+                    success: true,
+                    updated_chemical: chemical,
+                    deployment: null,
+                    deploy_blocked: sdsWarning
+                };
+            }
+            
             // Redeploy site
             const deployResult = await this.deployer.deployCustomerSite(customerConfig);
             
@@ -178,6 +274,268 @@ class ChemicalManager {
         }
     }
 
+    /**
+     * Build the next SDS record for a chemical. When the file itself changes, the
+     * current SDS is archived to pdfs/archive/<chemical-id>/v<version>/ and added
+     * to sds_revisions, newest first, so every version stays on the site.
+     */
+    async reviseSDS(customerConfig, chemical, sdsUpdates, operator) {
+        const previous = chemical.sds || {};
+        const filename = sdsUpdates.filename || previous.filename;
+        const fileHash = await this.hashPDF(filename);
+        const now = new Date().toISOString();
+        
+        // Records from before revision tracking have no hash, so any update to them is archived
+        const replaced = !previous.file_hash || filename !== previous.filename || fileHash !== previous.file_hash;
+        
+        const sds = {
+            ...previous,
+            ...sdsUpdates,
+            filename,
+            url: `pdfs/${filename}`,
+            file_hash: fileHash
+        };
+        
+        if (!replaced || !previous.filename) {
+            return sds;
+        }
+        
+        const version = previous.version || 1;
+        const revision = await this.archiveSDS(customerConfig, chemical, previous, version, filename);
+        
+        chemical.sds_revisions = [{
+            ...revision,
+            superseded_at: now,
+            superseded_by: operator
+        }, ...(chemical.sds_revisions || [])];
+        
+        console.log(`🗄️ Archived SDS version ${version} of "${chemical.name}" to ${revision.url}`);
+        
+        // Putting a new SDS in the binder counts as reviewing it
+        return {
+            ...sds,
+            last_reviewed: sdsUpdates.last_reviewed || now.split('T')[0],
+            version: version + 1,
+            uploaded_at: now,
+            uploaded_by: operator
+        };
+    }
+
+    /**
+     * Copy the outgoing SDS into the archive. The local PDF is used unless it has
+     * already been overwritten in place, in which case the deployed copy is fetched.
+     */
+    async archiveSDS(customerConfig, chemical, sds, version, replacementFilename) {
+        const archiveUrl = `pdfs/archive/${chemical.id}/v${version}/${sds.filename}`;
+        const localPath = path.join(this.pdfsPath, sds.filename);
+        
+        let buffer = await fs.readFile(localPath).catch(() => null);
+        const localHash = buffer && crypto.createHash('sha256').update(buffer).digest('hex');
+        const overwritten = sds.file_hash ? localHash !== sds.file_hash : sds.filename === replacementFilename;
+        
+        if (!buffer || overwritten) {
+            try {
+                buffer = await this.deployer.downloadRepoFile(customerConfig.customer_info.github_repo.name, sds.url || `pdfs/${sds.filename}`);
+            } catch (error) {
+                throw new Error(`Cannot archive previous SDS "${sds.filename}" for ${chemical.name}: ${error.message}`);
+            }
+        }
+        
+        const archivePath = path.join(this.pdfsPath, '..', archiveUrl);
+        await fs.mkdir(path.dirname(archivePath), { recursive: true });
+        await fs.writeFile(archivePath, buffer);
+        
+        return {
+            version,
+            filename: sds.filename,
+            title: sds.title,
+            url: archiveUrl,
+            revision_date: sds.revision_date || null,
+            file_hash: crypto.createHash('sha256').update(buffer).digest('hex'),
+            uploaded_at: sds.uploaded_at || null,
+            uploaded_by: sds.uploaded_by || null
+        };
+    }
+
+    /**
+     * SHA-256 of a PDF in pdfs/, or null when the file is not there yet
+     */
+    async hashPDF(filename) {
+        try {
+            const buffer = await fs.readFile(path.join(this.pdfsPath, filename));
+            return crypto.createHash('sha256').update(buffer).digest('hex');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Path of an SDS PDF in pdfs/, or in the customer's dashboard uploads, or null
+     */
+    async locateSDSFile(customerSlug, filename) {
+        for (const dir of [this.pdfsPath, path.join(this.uploadsPath, customerSlug)]) {
+            const filePath = path.join(dir, filename);
+            try {
+                await fs.access(filePath);
+                return filePath;
+            } catch (error) {
+                // Not in this directory
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * Run the SDS completeness check on a PDF. An override of an earlier failed
+     * check is kept only while the file is unchanged.
+     */
+    async checkSDS(filePath, previous = null) {
+        const buffer = await fs.readFile(filePath);
+        const fileHash = crypto.createHash('sha256').update(buffer).digest('hex');
+        const completeness = {
+            checked_at: new Date().toISOString(),
+            file_hash: fileHash,
+            ...await checkSDSFile(buffer)
+        };
+        
+        if (!completeness.complete && previous?.override && previous.file_hash === fileHash) {
+            completeness.override = previous.override;
+        }
+        
+        return completeness;
+    }
+
+    /**
+     * Why a chemical's SDS blocks deploys, or null when it passed, was overridden or was never checked
+     */
+    getSDSCheckWarning(chemical) {
+        const completeness = chemical.sds?.completeness;
+        if (!completeness || completeness.complete || completeness.override) {
+            return null;
+        }
+        
+        return `SDS "${chemical.sds.filename}" failed the completeness check (${completeness.warnings.join('; ')}). Replace the SDS or override the check to deploy.`;
+    }
+
+    /**
+     * Check a PDF uploaded through the dashboard. Files used as a chemical's SDS
+     * have the result saved on the chemical; other files whose name looks like an
+     * SDS are checked and reported only. Returns null for other files.
+     */
+    async checkUploadedSDS(customerSlug, filename, filePath) {
+        const customerConfig = await this.loadCustomerConfig(customerSlug);
+        const chemicals = customerConfig.chemicals.filter(c => c.active && c.sds?.filename === filename);
+        
+        if (chemicals.length === 0 && !/sds|safety[\s_-]*data/i.test(filename)) {
+            return null;
+        }
+        
+        const completeness = await this.checkSDS(filePath, chemicals[0]?.sds.completeness);
+        
+        if (chemicals.length > 0) {
+            chemicals.forEach(chemical => {
+                chemical.sds = { ...chemical.sds, completeness };
+            });
+            await this.saveCustomerConfig(customerSlug, customerConfig);
+        }
+        
+        if (!completeness.complete) {
+            console.warn(`⚠️ ${filename} failed the SDS completeness check: ${completeness.warnings.join('; ')}`);
+        }
+        
+        return { ...completeness, chemicals: chemicals.map(c => c.id) };
+    }
+
+    /**
+     * Check every active chemical's SDS again, e.g. for chemicals added before the check existed
+     */
+    async checkCustomerSDSs(customerSlug) {
+        const customerConfig = await this.loadCustomerConfig(customerSlug);
+        const results = [];
+        
+        for (const chemical of customerConfig.chemicals.filter(c => c.active && c.sds?.filename)) {
+            const sdsPath = await this.locateSDSFile(customerSlug, chemical.sds.filename);
+            if (!sdsPath) {
+                results.push({ chemical_id: chemical.id, filename: chemical.sds.filename, checked: false });
+                continue;
+            }
+            
+            chemical.sds.completeness = await this.checkSDS(sdsPath, chemical.sds.completeness);
+            results.push({ chemical_id: chemical.id, filename: chemical.sds.filename, checked: true, ...chemical.sds.completeness });
+        }
+        
+        await this.saveCustomerConfig(customerSlug, customerConfig);
+        return results;
+    }
+
+    /**
+     * Allow deploys with an SDS that failed the completeness check, e.g. a scanned
+     * SDS without a text layer. Only the configuration is saved.
+     */
+    async overrideSDSCheck(customerSlug, chemicalId, reason, overriddenBy) {
+        const customerConfig = await this.loadCustomerConfig(customerSlug);
+        const chemical = customerConfig.chemicals.find(c => c.id === chemicalId);
+        if (!chemical) {
+            throw new Error(`Chemical "${chemicalId}" not found`);
+        }
+        
+        const completeness = chemical.sds?.completeness;
+        if (!completeness || completeness.complete) {
+            throw new Error(`The SDS for "${chemical.name}" has not failed the completeness check`);
+        }
+        
+        completeness.override = createOverride(overriddenBy, reason);
+        
+        await this.saveCustomerConfig(customerSlug, customerConfig);
+        console.log(`✅ SDS completeness check overridden for "${chemical.name}" by ${completeness.override.by}`);
+        
+        return chemical;
+    }
+
+    /**
+     * List a customer's SDSs that failed the completeness check
+     */
+    async getIncompleteSDSs(customerSlug) {
+        const customerConfig = await this.loadCustomerConfig(customerSlug);
+        return findIncompleteSDSs(customerConfig);
+    }
+
+    /**
+     * Record that a chemical's SDS was checked with the supplier and is still current.
+     * Only the configuration is saved; the site picks the date up on its next deploy.
+     */
+    async markSDSReviewed(customerSlug, chemicalId, reviewedOn = new Date().toISOString().split('T')[0], reviewedBy) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(reviewedOn) || isNaN(new Date(reviewedOn))) {
+            throw new Error(`Invalid review date "${reviewedOn}" - use YYYY-MM-DD`);
+        }
+        
+        const customerConfig = await this.loadCustomerConfig(customerSlug);
+        const chemical = customerConfig.chemicals.find(c => c.id === chemicalId);
+        if (!chemical) {
+            throw new Error(`Chemical "${chemicalId}" not found`);
+        }
+        
+        chemical.sds = {
+            ...chemical.sds,
+            last_reviewed: reviewedOn,
+            reviewed_by: getOperator(reviewedBy)
+        };
+        
+        await this.saveCustomerConfig(customerSlug, customerConfig);
+        console.log(`✅ SDS for "${chemical.name}" marked as reviewed on ${reviewedOn}`);
+        
+        return chemical;
+    }
+
+    /**
+     * List a customer's overdue, soon-due and undated SDS reviews
+     */
+    async getStalenessReport(customerSlug, options = {}) {
+        const customerConfig = await this.loadCustomerConfig(customerSlug);
+        return buildStalenessReport(customerConfig, options);
+    }
+
     /**
      * Bulk update chemicals for a customer
      */
@@ -302,6 +660,33 @@ class ChemicalManager {
         if (!chemicalData.sds.filename.endsWith('.pdf')) {
             throw new Error('SDS file must be a PDF');
         }
+        
+        // Signal word, H/P codes and pictograms must exist in the GHS code table
+        if (chemicalData.ghs) {
+            validateGHSClassification(chemicalData.ghs);
+        }
+        
+        if (chemicalData.synonyms && !Array.isArray(chemicalData.synonyms)) {
+            throw new Error('Synonyms must be a list of alternate product names');
+        }
+        
+        if (chemicalData.cas_numbers) {
+            this.validateCASNumbers(chemicalData.cas_numbers);
+        }
+    }
+
+    /**
+     * Validate CAS numbers (format and check digit) so the site search can find them
+     */
+    validateCASNumbers(casNumbers) {
+        if (!Array.isArray(casNumbers)) {
+            throw new Error('CAS numbers must be a list, e.g. ["7647-01-0"]');
+        }
+        
+        const invalid = casNumbers.filter(casNumber => !isValidCASNumber(casNumber));
+        if (invalid.length > 0) {
+            throw new Error(`Invalid CAS numbers: ${invalid.join(', ')}`);
+        }
     }
 
     /**
@@ -399,6 +784,113 @@ if (require.main === module) {
                     });
                     break;
                     
+                case 'revisions':
+                    const revSlug = args[1];
+                    const revChemicalId = args[2];
+                    
+                    if (!revSlug || !revChemicalId) {
+                        console.error('❌ Usage: revisions <customer-slug> <chemical-id>');
+                        process.exit(1);
+                    }
+                    
+                    const { chemicals: allChemicals } = await manager.listChemicals(revSlug, true);
+                    const revChemical = allChemicals.find(c => c.id === revChemicalId);
+                    if (!revChemical) {
+                        throw new Error(`Chemical "${revChemicalId}" not found`);
+                    }
+                    
+                    console.log(`🗄️ SDS history for ${revChemical.name}:`);
+                    [{ ...revChemical.sds, current: true }, ...(revChemical.sds_revisions || [])].forEach(sds => {
+                        console.log(`   ${sds.current ? '📄' : '🗄️'} v${sds.version || 1} ${sds.filename} (revised ${sds.revision_date || 'unknown'})`);
+                        console.log(`      ${sds.url} - uploaded ${sds.uploaded_at || 'unknown'} by ${sds.uploaded_by || 'unknown'}${sds.superseded_at ? `, replaced ${sds.superseded_at} by ${sds.superseded_by}` : ''}`);
+                        console.log(`      sha256 ${sds.file_hash || 'not recorded'}`);
+                    });
+                    break;
+                    
+                case 'stale':
+                    const staleSlug = args[1];
+                    const daysFlag = args.indexOf('--days');
+                    const dueSoonDays = daysFlag !== -1 ? parseInt(args[daysFlag + 1], 10) : undefined;
+                    
+                    if (!staleSlug || (daysFlag !== -1 && !(dueSoonDays >= 0))) {
+                        console.error('❌ Usage: stale <customer-slug> [--days <due-soon-days>]');
+                        process.exit(1);
+                    }
+                    
+                    const report = await manager.getStalenessReport(staleSlug, { dueSoonDays });
+                    console.log(`⏰ SDS review status for ${report.customer} (review every ${report.review_interval_years} years):`);
+                    console.log(`   Overdue: ${report.counts.overdue}, Due within ${report.due_soon_days} days: ${report.counts.due_soon}, Undated: ${report.counts.undated}, Current: ${report.counts.current}`);
+                    
+                    report.overdue.forEach(entry => {
+                        console.log(`   ❌ ${entry.chemical} (${entry.chemical_id}) - overdue since ${entry.review_due}`);
+                    });
+                    report.due_soon.forEach(entry => {
+                        console.log(`   ⚠️ ${entry.chemical} (${entry.chemical_id}) - due ${entry.review_due}`);
+                    });
+                    report.undated.forEach(entry => {
+                        console.log(`   ❓ ${entry.chemical} (${entry.chemical_id}) - no issue or review date recorded`);
+                    });
+                    break;
+                    
+                case 'reviewed':
+                    const reviewedSlug = args[1];
+                    const reviewedChemicalId = args[2];
+                    
+                    if (!reviewedSlug || !reviewedChemicalId) {
+                        console.error('❌ Usage: reviewed <customer-slug> <chemical-id> [YYYY-MM-DD]');
+                        process.exit(1);
+                    }
+                    
+                    await manager.markSDSReviewed(reviewedSlug, reviewedChemicalId, args[3]);
+                    break;
+                    
+                case 'check-sds':
+                    const checkSlug = args[1];
+                    
+                    if (!checkSlug) {
+                        console.error('❌ Usage: check-sds <customer-slug>');
+                        process.exit(1);
+                    }
+                    
+                    const checks = await manager.checkCustomerSDSs(checkSlug);
+                    console.log(`📑 SDS completeness for ${checkSlug}:`);
+                    checks.forEach(check => {
+                        if (!check.checked) {
+                            console.log(`  ❓ ${check.filename} - file not found in pdfs/ or uploads/`);
+                        } else if (check.complete) {
+                            console.log(`  ✅ ${check.filename}`);
+                        } else {
+                            console.log(`  ${check.override ? '☑️' : '❌'} ${check.filename} - ${check.warnings.join('; ')}${check.override ? ` (overridden by ${check.override.by})` : ''}`);
+                        }
+                    });
+                    break;
+                    
+                case 'sds-override':
+                    const overrideSlug = args[1];
+                    const overrideChemicalId = args[2];
+                    
+                    if (!overrideSlug || !overrideChemicalId) {
+                        console.error('❌ Usage: sds-override <customer-slug> <chemical-id> [reason]');
+                        process.exit(1);
+                    }
+                    
+                    await manager.overrideSDSCheck(overrideSlug, overrideChemicalId, args.slice(3).join(' '));
+                    break;
+                    
+                case 'extract-sds':
+                    const sdsPath = args[1];
+                    
+                    if (!sdsPath) {
+                        console.error('❌ Usage: extract-sds <sds.pdf>');
+                        process.exit(1);
+                    }
+                    
+                    const extracted = await extractSDSFields(await fs.readFile(sdsPath));
+                    console.log(`📑 Found ${extracted.sections.length} of 16 SDS sections`);
+                    extracted.notes.forEach(note => console.log(`⚠️ ${note}`));
+                    console.log(JSON.stringify(extracted.fields, null, 2));
+                    break;
+                    
                 case 'checklist':
                     const cSlug = args[1];
                     
@@ -417,6 +909,12 @@ if (require.main === module) {
                     console.log('  add <customer-slug> <chemical-data.json>  - Add chemical');
                     console.log('  remove <customer-slug> <chemical-id>      - Remove chemical');
                     console.log('  list <customer-slug> [--include-inactive] - List chemicals');
+                    console.log('  revisions <customer-slug> <chemical-id>   - Show SDS revision history');
+                    console.log('  stale <customer-slug> [--days <n>]        - List overdue and soon-due SDS reviews');
+                    console.log('  reviewed <customer-slug> <chemical-id> [YYYY-MM-DD] - Mark an SDS as reviewed');
+                    console.log('  check-sds <customer-slug>                 - Check SDSs for all 16 sections and a revision date');
+                    console.log('  sds-override <customer-slug> <chemical-id> [reason] - Allow deploying an SDS that failed the check');
+                    console.log('  extract-sds <sds.pdf>                     - Read chemical fields from an SDS PDF');
                     console.log('  checklist <customer-slug>                 - Generate upload checklist');
             }
         } catch (error) {
@@ -16,6 +16,9 @@ const path = require('path');
 const fs = require('fs').promises;
 const { GHSBinderDeployer } = require('./github_deployment.js');
 const { ChemicalManager } = require('./chemical_manager.js');
+const { buildStalenessReport } = require('./sds_review.js');
+const { JobScheduler } = require('./scheduler.js');
+const { extractSDSFields, findIncompleteSDSs } = require('./sds_parser.js');
 
 class GHSManagementDashboard {
     constructor(githubToken, port = 3000) {
@@ -23,9 +26,16 @@ class GHSManagementDashboard {
         this.port = port;
         this.deployer = new GHSBinderDeployer(githubToken);
         this.chemicalManager = new ChemicalManager(githubToken);
+        this.configsPath = path.join(__dirname, '../customer_configs');
+        this.backupsPath = path.join(__dirname, '../backups');
+        this.scheduler = new JobScheduler({
+            timezone: process.env.SCHEDULER_TIMEZONE,
+            historyPath: path.join(__dirname, '../logs/scheduler_history.json')
+        });
         
         this.setupMiddleware();
         this.setupRoutes();
+        this.setupScheduler();
     }
 
     setupMiddleware() {
@@ -43,6 +53,7 @@ class GHSManagementDashboard {
         // Static files
         this.app.use('/static', express.static(path.join(__dirname, '../dashboard_assets')));
         this.app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+        this.app.use('/qr-codes', express.static(path.join(__dirname, '../qr-codes')));
         
         // CORS for development
         this.app.use((req, res, next) => {
@@ -66,15 +77,25 @@ class GHSManagementDashboard {
         this.app.get('/api/customers/:slug/chemicals', this.handleListChemicals.bind(this));
         this.app.post('/api/customers/:slug/chemicals', this.handleAddChemical.bind(this));
         this.app.delete('/api/customers/:slug/chemicals/:id', this.handleRemoveChemical.bind(this));
+        this.app.post('/api/customers/:slug/chemicals/:id/sds-override', this.handleOverrideSDSCheck.bind(this));
         
         this.app.post('/api/customers/:slug/deploy', this.handleDeployCustomer.bind(this));
         this.app.get('/api/customers/:slug/checklist', this.handleGenerateChecklist.bind(this));
+        this.app.post('/api/customers/:slug/qr-codes', this.handleGenerateQRCodes.bind(this));
+        this.app.get('/api/customers/:slug/placards', this.handleDownloadPlacards.bind(this));
+        this.app.get('/api/customers/:slug/sds-staleness', this.handleSDSStaleness.bind(this));
         
         // NEW: File Management Routes
         this.app.get('/api/customers/:slug/files', this.handleListFiles.bind(this));
         this.app.post('/api/customers/:slug/files/upload', this.upload.array('files'), this.handleFileUpload.bind(this));
         this.app.delete('/api/customers/:slug/files/:filename', this.handleDeleteFile.bind(this));
         this.app.get('/api/files/status', this.handleFileStatus.bind(this));
+        this.app.post('/api/sds/extract', this.upload.single('sds'), this.handleExtractSDS.bind(this));
+        
+        // Scheduled maintenance jobs
+        this.app.get('/api/scheduler/jobs', this.handleListJobs.bind(this));
+        this.app.get('/api/scheduler/history', this.handleJobHistory.bind(this));
+        this.app.post('/api/scheduler/jobs/:name/run', this.handleRunJob.bind(this));
         
         // PDF upload handling (legacy)
         this.app.post('/api/upload-pdfs', this.upload.array('pdfs'), this.handlePDFUpload.bind(this));
@@ -85,6 +106,190 @@ class GHSManagementDashboard {
         });
     }
 
+    /**
+     * Register the maintenance jobs. SCHEDULE_<JOB> overrides a job's cron
+     * expression and "off" disables it; auto-redeploy also needs AUTO_REDEPLOY_ENABLED=true.
+     */
+    setupScheduler() {
+        const jobSchedule = (variable, fallback) => {
+            const schedule = process.env[variable] || fallback;
+            return { schedule, enabled: schedule !== 'off' };
+        };
+        
+        this.scheduler.register('file-status-scan', {
+            description: 'Nightly check for missing and orphaned files and SDS reviews',
+            ...jobSchedule('SCHEDULE_FILE_STATUS_SCAN', '0 2 * * *'),
+            run: () => this.runFileStatusScan()
+        });
+        
+        this.scheduler.register('sds-staleness-report', {
+            description: 'Weekly report of SDS reviews that are overdue, due soon or undated',
+            ...jobSchedule('SCHEDULE_SDS_STALENESS_REPORT', '0 6 * * 1'),
+            run: () => this.runStalenessReport()
+        });
+        
+        this.scheduler.register('config-backup', {
+            description: 'Copy customer configurations into backups/',
+            ...jobSchedule('SCHEDULE_CONFIG_BACKUP', '0 3 * * *'),
+            run: () => this.runConfigBackup()
+        });
+        
+        const autoRedeploy = jobSchedule('SCHEDULE_AUTO_REDEPLOY', '0 4 * * *');
+        this.scheduler.register('auto-redeploy', {
+            description: 'Redeploy auto_update customers whose configuration changed since their last deploy',
+            schedule: autoRedeploy.schedule,
+            enabled: autoRedeploy.enabled && process.env.AUTO_REDEPLOY_ENABLED === 'true',
+            run: () => this.runAutoRedeploy()
+        });
+    }
+
+    async runFileStatusScan() {
+        const fileStatus = await this.getFileStatus();
+        const total = key => fileStatus.reduce((sum, entry) => sum + (entry[key] || 0), 0);
+        
+        return {
+            customers: fileStatus.length,
+            incomplete: fileStatus.filter(entry => entry.status === 'incomplete').length,
+            errors: fileStatus.filter(entry => entry.status === 'error').length,
+            missingFiles: total('missingFiles'),
+            orphanedFiles: total('orphanedFiles'),
+            staleSDS: total('staleSDS'),
+            incompleteSDS: total('incompleteSDS'),
+            fileStatus
+        };
+    }
+
+    async runStalenessReport() {
+        const customers = await this.deployer.listCustomerSites();
+        const reports = [];
+        const failed = [];
+        
+        for (const customer of customers) {
+            try {
+                reports.push(await this.chemicalManager.getStalenessReport(customer.slug));
+            } catch (error) {
+                failed.push({ slug: customer.slug, error: error.message });
+            }
+        }
+        
+        const total = key => reports.reduce((sum, report) => sum + report.counts[key], 0);
+        
+        return {
+            customers: reports.length,
+            overdue: total('overdue'),
+            due_soon: total('due_soon'),
+            undated: total('undated'),
+            reports,
+            failed
+        };
+    }
+
+    /**
+     * Copy every customer configuration into backups/configs-<timestamp>/ and
+     * keep only the newest BACKUP_RETENTION backups (default 30)
+     */
+    async runConfigBackup() {
+        const retention = parseInt(process.env.BACKUP_RETENTION, 10) || 30;
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const backupName = `configs-${stamp}`;
+        const backupDir = path.join(this.backupsPath, backupName);
+        
+        const configFiles = (await fs.readdir(this.configsPath)).filter(file => file.endsWith('.json'));
+        await fs.mkdir(backupDir, { recursive: true });
+        
+        for (const configFile of configFiles) {
+            await fs.copyFile(path.join(this.configsPath, configFile), path.join(backupDir, configFile));
+        }
+        
+        const backups = (await fs.readdir(this.backupsPath))
+            .filter(name => name.startsWith('configs-'))
+            .sort()
+            .reverse();
+        const pruned = backups.slice(retention);
+        
+        for (const name of pruned) {
+            await fs.rm(path.join(this.backupsPath, name), { recursive: true, force: true });
+        }
+        
+        console.log(`💾 Backed up ${configFiles.length} configurations to backups/${backupName}`);
+        return { backup: `backups/${backupName}`, files: configFiles, pruned };
+    }
+
+    /**
+     * Redeploy customers with deployment.auto_update whose configuration
+     * changed since their last recorded deploy
+     */
+    async runAutoRedeploy() {
+        const customers = await this.deployer.listCustomerSites();
+        const redeployed = [];
+        const unchanged = [];
+        const skipped = [];
+        const failed = [];
+        
+        for (const customer of customers) {
+            try {
+                const customerConfig = await this.chemicalManager.loadCustomerConfig(customer.slug);
+                
+                if (!customerConfig.deployment?.auto_update) {
+                    skipped.push(customer.slug);
+                    continue;
+                }
+                if (!this.deployer.hasConfigChanged(customerConfig)) {
+                    unchanged.push(customer.slug);
+                    continue;
+                }
+                
+                console.log(`🔄 Configuration changed for ${customer.name}, redeploying...`);
+                const result = await this.deployer.deployCustomerSite(customerConfig);
+                redeployed.push({ slug: customer.slug, url: result.url, deployed_at: result.deployment_info.deployed_at });
+            } catch (error) {
+                console.error(`❌ Auto-redeploy failed for ${customer.slug}:`, error.message);
+                failed.push({ slug: customer.slug, error: error.message });
+            }
+        }
+        
+        return { redeployed, unchanged, skipped, failed };
+    }
+
+    async handleListJobs(req, res) {
+        try {
+            res.json({ success: true, jobs: await this.scheduler.getJobs() });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    async handleJobHistory(req, res) {
+        try {
+            const { job } = req.query;
+            if (job && !this.scheduler.jobs.has(job)) {
+                return res.status(404).json({ success: false, error: `Unknown job: ${job}` });
+            }
+            
+            const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+            if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+                return res.status(400).json({ success: false, error: 'limit must be a positive whole number' });
+            }
+            
+            res.json({ success: true, history: await this.scheduler.getHistory(job, limit) });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    async handleRunJob(req, res) {
+        const { name } = req.params;
+        if (!this.scheduler.jobs.has(name)) {
+            return res.status(404).json({ success: false, error: `Unknown job: ${name}` });
+        }
+        
+        // Deploys can take minutes, so the run is reported through the job history
+        this.scheduler.runJob(name, 'manual').catch(error => {
+            console.error(`❌ Job ${name} failed:`, error.message);
+        });
+        res.status(202).json({ success: true, job: name, status: 'started' });
+    }
+
     // NEW: File Management Handlers
     async handleListFiles(req, res) {
         try {
@@ -136,12 +341,20 @@ class GHSManagementDashboard {
                     const targetPath = path.join(targetDir, file.originalname);
                     await fs.rename(file.path, targetPath);
                     
+                    // SDS uploads are checked for the 16 sections and a revision date
+                    let sdsCheck = null;
+                    if (path.extname(file.originalname).toLowerCase() === '.pdf') {
+                        sdsCheck = await this.chemicalManager.checkUploadedSDS(slug, file.originalname, targetPath)
+                            .catch(error => ({ complete: false, warnings: [`SDS check failed: ${error.message}`] }));
+                    }
+                    
                     uploadResults.push({
                         filename: file.originalname,
                         success: true,
                         path: targetPath,
                         size: file.size,
-                        url: `/uploads/${slug}/${file.originalname}`
+                        url: `/uploads/${slug}/${file.originalname}`,
+                        sds_check: sdsCheck
                     });
                 } catch (error) {
                     uploadResults.push({
@@ -164,6 +377,38 @@ class GHSManagementDashboard {
         }
     }
 
+    /**
+     * Read chemical fields from an uploaded SDS to pre-fill the add chemical
+     * form. Nothing is saved; the upload is deleted once it has been read.
+     */
+    async handleExtractSDS(req, res) {
+        const file = req.file;
+        if (!file) {
+            return res.status(400).json({ success: false, error: 'No SDS uploaded' });
+        }
+        
+        try {
+            if (path.extname(file.originalname).toLowerCase() !== '.pdf') {
+                return res.status(400).json({ success: false, error: 'The SDS must be a PDF' });
+            }
+            
+            const buffer = await fs.readFile(file.path);
+            const { sections, fields, notes } = await extractSDSFields(buffer);
+            
+            res.json({
+                success: true,
+                filename: file.originalname,
+                sections: sections.map(({ number, title }) => ({ number, title })),
+                fields,
+                notes
+            });
+        } catch (error) {
+            res.status(422).json({ success: false, error: error.message });
+        } finally {
+            await fs.unlink(file.path).catch(() => {});
+        }
+    }
+
     async handleDeleteFile(req, res) {
         try {
             const { slug, filename } = req.params;
@@ -178,87 +423,108 @@ class GHSManagementDashboard {
 
     async handleFileStatus(req, res) {
         try {
-            const customers = await this.deployer.listCustomerSites();
-            const fileStatus = [];
-            
-            for (const customer of customers) {
+            const fileStatus = await this.getFileStatus();
+            res.json({ success: true, fileStatus });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * File status for every customer: missing and orphaned files and SDS reviews
+     */
+    async getFileStatus() {
+        const customers = await this.deployer.listCustomerSites();
+        const fileStatus = [];
+        
+        for (const customer of customers) {
+            try {
+                // Load customer configuration
+                const configPath = path.join(__dirname, '../customer_configs', `${customer.slug}.json`);
+                const configData = await fs.readFile(configPath, 'utf8');
+                const customerConfig = JSON.parse(configData);
+                
+                // Check files directory
+                const filesDir = path.join(__dirname, '../uploads', customer.slug);
+                let files = [];
                 try {
-                    // Load customer configuration
-                    const configPath = path.join(__dirname, '../customer_configs', `${customer.slug}.json`);
-                    const configData = await fs.readFile(configPath, 'utf8');
-                    const customerConfig = JSON.parse(configData);
-                    
-                    // Check files directory
-                    const filesDir = path.join(__dirname, '../uploads', customer.slug);
-                    let files = [];
-                    try {
-                        files = await fs.readdir(filesDir);
-                    } catch (dirError) {
-                        // Directory doesn't exist
-                        files = [];
+                    files = await fs.readdir(filesDir);
+                } catch (dirError) {
+                    // Directory doesn't exist
+                    files = [];
+                }
+                
+                // Check which chemicals have matching files
+                const chemicals = customerConfig.chemicals || [];
+                const missingFiles = [];
+                const orphanedFiles = [...files];
+                
+                chemicals.forEach(chemical => {
+                    if (chemical.literature && chemical.literature.filename) {
+                        if (!files.includes(chemical.literature.filename)) {
+                            missingFiles.push({
+                                type: 'literature',
+                                chemical: chemical.name,
+                                filename: chemical.literature.filename
+                            });
+                        } else {
+                            // Remove from orphaned list
+                            const index = orphanedFiles.indexOf(chemical.literature.filename);
+                            if (index > -1) orphanedFiles.splice(index, 1);
+                        }
                     }
                     
-                    // Check which chemicals have matching files
-                    const chemicals = customerConfig.chemicals || [];
-                    const missingFiles = [];
-                    const orphanedFiles = [...files];
-                    
-                    chemicals.forEach(chemical => {
-                        if (chemical.literature && chemical.literature.filename) {
-                            if (!files.includes(chemical.literature.filename)) {
-                                missingFiles.push({
-                                    type: 'literature',
-                                    chemical: chemical.name,
-                                    filename: chemical.literature.filename
-                                });
-                            } else {
-                                // Remove from orphaned list
-                                const index = orphanedFiles.indexOf(chemical.literature.filename);
-                                if (index > -1) orphanedFiles.splice(index, 1);
-                            }
-                        }
-                        
-                        if (chemical.sds && chemical.sds.filename) {
-                            if (!files.includes(chemical.sds.filename)) {
-                                missingFiles.push({
-                                    type: 'sds',
-                                    chemical: chemical.name,
-                                    filename: chemical.sds.filename
-                                });
-                            } else {
-                                // Remove from orphaned list
-                                const index = orphanedFiles.indexOf(chemical.sds.filename);
-                                if (index > -1) orphanedFiles.splice(index, 1);
-                            }
+                    if (chemical.sds && chemical.sds.filename) {
+                        if (!files.includes(chemical.sds.filename)) {
+                            missingFiles.push({
+                                type: 'sds',
+                                chemical: chemical.name,
+                                filename: chemical.sds.filename
+                            });
+                        } else {
+                            // Remove from orphaned list
+                            const index = orphanedFiles.indexOf(chemical.sds.filename);
+                            if (index > -1) orphanedFiles.splice(index, 1);
                         }
-                    });
-                    
-                    fileStatus.push({
-                        customer: customer.name,
-                        slug: customer.slug,
-                        totalFiles: files.length,
-                        totalChemicals: chemicals.length,
-                        missingFiles: missingFiles.length,
-                        orphanedFiles: orphanedFiles.length,
-                        missingFilesList: missingFiles,
-                        orphanedFilesList: orphanedFiles,
-                        status: missingFiles.length === 0 ? 'complete' : 'incomplete'
-                    });
-                    
-                } catch (customerError) {
-                    fileStatus.push({
-                        customer: customer.name,
-                        slug: customer.slug,
-                        error: 'Could not load customer configuration',
-                        status: 'error'
-                    });
-                }
+                    }
+                });
+                
+                // SDSs not reviewed within the review interval
+                const staleness = buildStalenessReport(customerConfig);
+                
+                // SDSs that failed the completeness check; those not overridden block deploys
+                const incompleteSDS = findIncompleteSDSs(customerConfig);
+                const blockingSDS = incompleteSDS.filter(entry => !entry.override);
+                
+                fileStatus.push({
+                    customer: customer.name,
+                    slug: customer.slug,
+                    totalFiles: files.length,
+                    totalChemicals: chemicals.length,
+                    missingFiles: missingFiles.length,
+                    orphanedFiles: orphanedFiles.length,
+                    staleSDS: staleness.counts.overdue,
+                    dueSoonSDS: staleness.counts.due_soon,
+                    undatedSDS: staleness.counts.undated,
+                    missingFilesList: missingFiles,
+                    orphanedFilesList: orphanedFiles,
+                    staleSDSList: [...staleness.overdue, ...staleness.due_soon, ...staleness.undated],
+                    incompleteSDS: blockingSDS.length,
+                    incompleteSDSList: incompleteSDS,
+                    status: missingFiles.length === 0 && blockingSDS.length === 0 ? 'complete' : 'incomplete'
+                });
+                
+            } catch (customerError) {
+                fileStatus.push({
+                    customer: customer.name,
+                    slug: customer.slug,
+                    error: 'Could not load customer configuration',
+                    status: 'error'
+                });
             }
-            
-            res.json({ success: true, fileStatus });
-        } catch (error) {
-            res.status(500).json({ success: false, error: error.message });
         }
+        
+        return fileStatus;
     }
 
     // Original API Handlers (unchanged)
@@ -339,6 +605,18 @@ class GHSManagementDashboard {
         }
     }
 
+    async handleOverrideSDSCheck(req, res) {
+        try {
+            const { slug, id } = req.params;
+            const { reason, overridden_by: overriddenBy } = req.body || {};
+            
+            const chemical = await this.chemicalManager.overrideSDSCheck(slug, id, reason, overriddenBy);
+            res.json({ success: true, chemical });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
     async handleRemoveChemical(req, res) {
         try {
             const { slug, id } = req.params;
@@ -378,6 +656,65 @@ class GHSManagementDashboard {
         }
     }
 
+    async handleSDSStaleness(req, res) {
+        try {
+            const { slug } = req.params;
+            const dueSoonDays = req.query.due_soon_days !== undefined ? Number(req.query.due_soon_days) : undefined;
+            
+            if (dueSoonDays !== undefined && !(Number.isInteger(dueSoonDays) && dueSoonDays >= 0)) {
+                return res.status(400).json({ success: false, error: 'due_soon_days must be a whole number of days' });
+            }
+            
+            const report = await this.chemicalManager.getStalenessReport(slug, { dueSoonDays });
+            res.json({ success: true, report });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    async handleGenerateQRCodes(req, res) {
+        try {
+            const { slug } = req.params;
+            
+            // Load customer configuration
+            const configPath = path.join(__dirname, '../customer_configs', `${slug}.json`);
+            const configData = await fs.readFile(configPath, 'utf8');
+            const customerConfig = JSON.parse(configData);
+            
+            const qrCodes = await this.deployer.generateQRCodes(customerConfig);
+            const codes = qrCodes.codes.map(code => ({
+                ...code,
+                png_url: `/qr-codes/${slug}/${code.png}`,
+                svg_url: `/qr-codes/${slug}/${code.svg}`
+            }));
+            
+            res.json({ success: true, customer: customerConfig.customer_info.name, codes });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    async handleDownloadPlacards(req, res) {
+        try {
+            const { slug } = req.params;
+            const groupBy = req.query.group_by || 'product';
+            
+            if (!['product', 'location'].includes(groupBy)) {
+                return res.status(400).json({ success: false, error: 'group_by must be product or location' });
+            }
+            
+            // Load customer configuration
+            const configPath = path.join(__dirname, '../customer_configs', `${slug}.json`);
+            const configData = await fs.readFile(configPath, 'utf8');
+            const customerConfig = JSON.parse(configData);
+            
+            const placards = await this.deployer.generateQRPlacards(customerConfig, groupBy);
+            res.download(placards.path, `${slug}-${placards.filename}`);
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
     async handlePDFUpload(req, res) {
         try {
             const files = req.files;
@@ -611,6 +948,25 @@ class GHSManagementDashboard {
             box-shadow: 0 0 0 3px rgba(52, 152, 219, 0.1);
         }
         
+        .form-group input.prefilled,
+        .form-group textarea.prefilled,
+        .form-group select.prefilled {
+            background: #fffbea;
+            border-color: #f0c36d;
+        }
+        
+        .sds-prefill {
+            background: #f8f9fa;
+            border: 2px dashed #e0e0e0;
+            border-radius: 8px;
+            padding: 15px;
+            margin-bottom: 20px;
+        }
+        
+        .sds-prefill-status ul {
+            margin: 8px 0 0 20px;
+        }
+        
         .grid {
             display: grid;
             grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
@@ -945,6 +1301,13 @@ class GHSManagementDashboard {
                     </select>
                 </div>
                 
+                <div class="form-group sds-prefill">
+                    <label for="sds-prefill-file">📑 Pre-fill from SDS PDF</label>
+                    <input type="file" id="sds-prefill-file" accept=".pdf" onchange="prefillFromSDS(this)">
+                    <small>Reads the product name, supplier, hazards, CAS numbers and revision date from the SDS. Check every highlighted field before adding.</small>
+                    <div id="sds-prefill-status" class="sds-prefill-status"></div>
+                </div>
+                
                 <div class="form-group">
                     <label for="chemical-name">Chemical Name *</label>
                     <input type="text" id="chemical-name" required>
@@ -965,6 +1328,55 @@ class GHSManagementDashboard {
                     <input type="text" id="chemical-supplier">
                 </div>
                 
+                <div class="form-group">
+                    <label for="chemical-emergency-phone">Supplier Emergency Phone</label>
+                    <input type="text" id="chemical-emergency-phone" placeholder="e.g. 800-424-9300">
+                </div>
+                
+                <div class="form-group">
+                    <label for="chemical-signal-word">Signal Word</label>
+                    <select id="chemical-signal-word">
+                        <option value="">-- None --</option>
+                        <option value="Danger">Danger</option>
+                        <option value="Warning">Warning</option>
+                    </select>
+                </div>
+                
+                <div class="form-group">
+                    <label for="chemical-h-codes">Hazard Statements (H-codes)</label>
+                    <input type="text" id="chemical-h-codes" placeholder="Comma-separated, e.g. H290, H314">
+                </div>
+                
+                <div class="form-group">
+                    <label for="chemical-p-codes">Precautionary Statements (P-codes)</label>
+                    <input type="text" id="chemical-p-codes" placeholder="Comma-separated, e.g. P280, P305+P351+P338">
+                </div>
+                
+                <div class="form-group">
+                    <label for="chemical-pictograms">Pictograms</label>
+                    <input type="text" id="chemical-pictograms" placeholder="Comma-separated, e.g. GHS05, GHS07">
+                </div>
+                
+                <div class="form-group">
+                    <label for="chemical-category">Category</label>
+                    <input type="text" id="chemical-category" placeholder="e.g. Restroom Cleaners">
+                </div>
+                
+                <div class="form-group">
+                    <label for="chemical-location">Storage Location</label>
+                    <input type="text" id="chemical-location" placeholder="e.g. Janitor Closet B2">
+                </div>
+                
+                <div class="form-group">
+                    <label for="chemical-synonyms">Synonyms / Trade Names</label>
+                    <input type="text" id="chemical-synonyms" placeholder="Comma-separated, e.g. Muriatic Acid, Bowl Gel">
+                </div>
+                
+                <div class="form-group">
+                    <label for="chemical-cas">CAS Numbers</label>
+                    <input type="text" id="chemical-cas" placeholder="Comma-separated, e.g. 7647-01-0">
+                </div>
+                
                 <div class="form-group">
                     <label for="literature-filename">Literature PDF Filename *</label>
                     <input type="text" id="literature-filename" placeholder="product_literature.pdf" required>
@@ -975,6 +1387,11 @@ class GHSManagementDashboard {
                     <input type="text" id="sds-filename" placeholder="product_sds.pdf" required>
                 </div>
                 
+                <div class="form-group">
+                    <label for="sds-revision-date">SDS Revision Date</label>
+                    <input type="date" id="sds-revision-date">
+                </div>
+                
                 <div class="btn-group">
                     <button type="submit" class="btn btn-success">Add Chemical</button>
                     <button type="button" class="btn" onclick="closeModal('add-chemical-modal')">Cancel</button>
@@ -1065,6 +1482,9 @@ class GHSManagementDashboard {
             const totalFiles = fileStatusData.reduce((sum, customer) => sum + (customer.totalFiles || 0), 0);
             const totalMissing = fileStatusData.reduce((sum, customer) => sum + (customer.missingFiles || 0), 0);
             const totalOrphaned = fileStatusData.reduce((sum, customer) => sum + (customer.orphanedFiles || 0), 0);
+            const totalStale = fileStatusData.reduce((sum, customer) => sum + (customer.staleSDS || 0), 0);
+            const totalDueSoon = fileStatusData.reduce((sum, customer) => sum + (customer.dueSoonSDS || 0), 0);
+            const totalIncompleteSDS = fileStatusData.reduce((sum, customer) => sum + (customer.incompleteSDS || 0), 0);
             const completeCustomers = fileStatusData.filter(customer => customer.status === 'complete').length;
             
             container.innerHTML = \`
@@ -1084,6 +1504,18 @@ class GHSManagementDashboard {
                     <div class="status-number" style="color: #f39c12;">\${totalOrphaned}</div>
                     <div class="status-label">Orphaned Files</div>
                 </div>
+                <div class="status-card">
+                    <div class="status-number" style="color: #e74c3c;">\${totalStale}</div>
+                    <div class="status-label">Overdue SDS Reviews</div>
+                </div>
+                <div class="status-card">
+                    <div class="status-number" style="color: #f39c12;">\${totalDueSoon}</div>
+                    <div class="status-label">SDS Reviews Due Soon</div>
+                </div>
+                <div class="status-card">
+                    <div class="status-number" style="color: #e74c3c;">\${totalIncompleteSDS}</div>
+                    <div class="status-label">Incomplete SDSs</div>
+                </div>
             \`;
         }
         
@@ -1120,17 +1552,55 @@ class GHSManagementDashboard {
                     \`;
                 }
                 
+                let staleSDSHtml = '';
+                if (customer.staleSDSList && customer.staleSDSList.length > 0) {
+                    const reviewLabels = { overdue: '❌ Overdue since', due_soon: '⚠️ Due', undated: '❓ No issue or review date' };
+                    staleSDSHtml = \`
+                        <div style="margin-top: 10px;">
+                            <strong>SDS Reviews:</strong>
+                            <ul style="margin-left: 20px;">
+                                \${customer.staleSDSList.map(entry => 
+                                    \`<li>\${escapeHtml(entry.chemical)} - \${reviewLabels[entry.status]} \${entry.review_due || ''}</li>\`
+                                ).join('')}
+                            </ul>
+                        </div>
+                    \`;
+                }
+                
+                let incompleteSDSHtml = '';
+                if (customer.incompleteSDSList && customer.incompleteSDSList.length > 0) {
+                    incompleteSDSHtml = \`
+                        <div style="margin-top: 10px;">
+                            <strong>SDS Completeness Warnings:</strong>
+                            <ul style="margin-left: 20px;">
+                                \${customer.incompleteSDSList.map(entry => \`
+                                    <li>
+                                        \${entry.override ? '☑️' : '⚠️'} \${escapeHtml(entry.chemical)} (\${escapeHtml(entry.filename)}) - \${escapeHtml(entry.warnings.join('; '))}
+                                        \${entry.override
+                                            ? \`<em>Overridden by \${escapeHtml(entry.override.by)}\${entry.override.reason ? ': ' + escapeHtml(entry.override.reason) : ''}</em>\`
+                                            : \`<button class="btn btn-warning" onclick="overrideSDSCheck('\${customer.slug}', '\${entry.chemical_id}')">Allow Deploy</button>\`}
+                                    </li>
+                                \`).join('')}
+                            </ul>
+                        </div>
+                    \`;
+                }
+                
                 return \`
                     <div class="card" style="margin-bottom: 20px;">
                         <h3>\${customer.customer} <span class="status-indicator \${statusClass}">\${customer.status}</span></h3>
-                        <div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 15px; margin: 15px 0;">
+                        <div style="display: grid; grid-template-columns: repeat(6, 1fr); gap: 15px; margin: 15px 0;">
                             <div><strong>Files:</strong> \${customer.totalFiles || 0}</div>
                             <div><strong>Chemicals:</strong> \${customer.totalChemicals || 0}</div>
                             <div><strong>Missing:</strong> \${customer.missingFiles || 0}</div>
                             <div><strong>Orphaned:</strong> \${customer.orphanedFiles || 0}</div>
+                            <div><strong>Stale SDS:</strong> \${customer.staleSDS || 0}</div>
+                            <div><strong>Incomplete SDS:</strong> \${customer.incompleteSDS || 0}</div>
                         </div>
                         \${missingFilesHtml}
                         \${orphanedFilesHtml}
+                        \${staleSDSHtml}
+                        \${incompleteSDSHtml}
                         <div style="margin-top: 15px;">
                             <button class="btn btn-info" onclick="openFileManager('\${customer.slug}')">📁 Manage Files</button>
                         </div>
@@ -1294,7 +1764,12 @@ class GHSManagementDashboard {
                 const result = await response.json();
                 
                 if (result.success) {
-                    alert(\`Successfully uploaded \${result.uploaded} files\${result.failed > 0 ? \` (\${result.failed} failed)\` : ''}\`);
+                    const sdsWarnings = result.results
+                        .filter(file => file.sds_check && !file.sds_check.complete)
+                        .map(file => \`\${file.filename}: \${file.sds_check.warnings.join('; ')}\`);
+                    
+                    alert(\`Successfully uploaded \${result.uploaded} files\${result.failed > 0 ? \` (\${result.failed} failed)\` : ''}\` +
+                        (sdsWarnings.length > 0 ? '\\n\\n⚠️ SDS completeness warnings (deploy is blocked until fixed or overridden):\\n' + sdsWarnings.join('\\n') : ''));
                     loadCustomerFiles();
                     loadFileStatus(); // Refresh overview
                     
@@ -1315,6 +1790,30 @@ class GHSManagementDashboard {
             loadFileStatus();
         }
         
+        async function overrideSDSCheck(slug, chemicalId) {
+            const reason = prompt('This SDS failed the completeness check. Why should it be deployed anyway? (e.g. scanned SDS checked by hand)');
+            if (reason === null) return;
+            
+            try {
+                const response = await fetch(\`/api/customers/\${slug}/chemicals/\${chemicalId}/sds-override\`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ reason })
+                });
+                const result = await response.json();
+                
+                if (result.success) {
+                    await loadFileStatus();
+                    showFileStatusModal();
+                } else {
+                    alert('Error: ' + result.error);
+                }
+            } catch (error) {
+                console.error('Error overriding SDS check:', error);
+                alert('Failed to override the SDS check');
+            }
+        }
+        
         // Load customers from API
         async function loadCustomers() {
             try {
@@ -1357,6 +1856,8 @@ class GHSManagementDashboard {
                             <button class="btn" onclick="deployCustomer('\${customer.slug}')">🚀 Deploy</button>
                             <button class="btn btn-warning" onclick="viewCustomer('\${customer.slug}')">👁️ View</button>
                             <button class="btn btn-info" onclick="openFileManager('\${customer.slug}')">📁 Files</button>
+                            <a class="btn btn-success" href="/api/customers/\${customer.slug}/placards?group_by=product" download>🏷️ Product Placards</a>
+                            <a class="btn btn-success" href="/api/customers/\${customer.slug}/placards?group_by=location" download>📍 Location Placards</a>
                             <button class="btn btn-danger" onclick="deleteCustomer('\${customer.slug}')">🗑️ Delete</button>
                         </div>
                     </div>
@@ -1422,21 +1923,41 @@ class GHSManagementDashboard {
                 e.preventDefault();
                 
                 const customerSlug = document.getElementById('chemical-customer').value;
+                const ghs = {
+                    signal_word: document.getElementById('chemical-signal-word').value || null,
+                    h_codes: splitList(document.getElementById('chemical-h-codes').value),
+                    p_codes: splitList(document.getElementById('chemical-p-codes').value),
+                    pictograms: splitList(document.getElementById('chemical-pictograms').value)
+                };
+                const hasGHS = ghs.signal_word || ghs.h_codes.length || ghs.p_codes.length || ghs.pictograms.length;
+                
                 const chemicalData = {
                     name: document.getElementById('chemical-name').value,
                     description: document.getElementById('chemical-description').value,
                     hazards: document.getElementById('chemical-hazards').value,
                     supplier: document.getElementById('chemical-supplier').value,
+                    emergency_phone: document.getElementById('chemical-emergency-phone').value,
+                    ghs: hasGHS ? ghs : null,
+                    category: document.getElementById('chemical-category').value,
+                    storage_location: document.getElementById('chemical-location').value,
+                    synonyms: splitList(document.getElementById('chemical-synonyms').value),
+                    cas_numbers: splitList(document.getElementById('chemical-cas').value),
                     literature: {
                         filename: document.getElementById('literature-filename').value,
                         title: document.getElementById('chemical-name').value + ' Product Literature'
                     },
                     sds: {
                         filename: document.getElementById('sds-filename').value,
-                        title: document.getElementById('chemical-name').value + ' Safety Data Sheet'
+                        title: document.getElementById('chemical-name').value + ' Safety Data Sheet',
+                        revision_date: document.getElementById('sds-revision-date').value || null
                     }
                 };
                 
+                // Fields read from an SDS are only saved once the user has confirmed them
+                if (sdsPrefill && !confirm(describeSDSPrefill(chemicalData))) {
+                    return;
+                }
+                
                 try {
                     showLoading('Adding chemical...');
                     const response = await fetch(\`/api/customers/\${customerSlug}/chemicals\`, {
@@ -1449,11 +1970,16 @@ class GHSManagementDashboard {
                     
                     if (result.success) {
                         closeModal('add-chemical-modal');
+                        clearSDSPrefill();
                         if (selectedCustomer === customerSlug) {
                             loadCustomerChemicals();
                         }
                         loadFileStatus(); // Refresh file status
-                        alert('Chemical added successfully!');
+                        if (result.result.deploy_blocked) {
+                            alert('Chemical saved, but the site was not deployed:\\n' + result.result.deploy_blocked);
+                        } else {
+                            alert('Chemical added successfully!');
+                        }
                     } else {
                         alert('Error: ' + result.error);
                     }
@@ -1466,6 +1992,85 @@ class GHSManagementDashboard {
             });
         }
         
+        // SDS pre-fill: fields read from an uploaded SDS, kept until the chemical is added
+        let sdsPrefill = null;
+        
+        async function prefillFromSDS(input) {
+            const file = input.files[0];
+            const status = document.getElementById('sds-prefill-status');
+            if (!file) return;
+            
+            clearSDSPrefill();
+            status.textContent = 'Reading ' + file.name + '...';
+            
+            const formData = new FormData();
+            formData.append('sds', file);
+            
+            try {
+                const response = await fetch('/api/sds/extract', { method: 'POST', body: formData });
+                const result = await response.json();
+                
+                if (!result.success) {
+                    status.textContent = '⚠️ ' + result.error;
+                    return;
+                }
+                
+                const fields = result.fields;
+                const fill = (id, value) => {
+                    if (!value || (Array.isArray(value) && value.length === 0)) return;
+                    const element = document.getElementById(id);
+                    element.value = Array.isArray(value) ? value.join(', ') : value;
+                    element.classList.add('prefilled');
+                };
+                
+                fill('chemical-name', fields.name);
+                fill('chemical-supplier', fields.supplier);
+                fill('chemical-emergency-phone', fields.emergency_phone);
+                fill('chemical-signal-word', fields.ghs.signal_word);
+                fill('chemical-h-codes', fields.ghs.h_codes);
+                fill('chemical-p-codes', fields.ghs.p_codes);
+                fill('chemical-pictograms', fields.ghs.pictograms);
+                fill('chemical-cas', fields.cas_numbers);
+                fill('sds-filename', result.filename);
+                fill('sds-revision-date', fields.revision_date);
+                
+                sdsPrefill = result;
+                status.innerHTML = \`
+                    ✅ Read \${result.sections.length} of 16 sections from \${escapeHtml(result.filename)}.
+                    Highlighted fields came from the SDS - check them before adding.
+                    \${result.notes.length > 0 ? \`<ul>\${result.notes.map(note => \`<li>\${escapeHtml(note)}</li>\`).join('')}</ul>\` : ''}
+                \`;
+            } catch (error) {
+                console.error('Error reading SDS:', error);
+                status.textContent = '⚠️ Failed to read the SDS';
+            }
+        }
+        
+        function clearSDSPrefill() {
+            sdsPrefill = null;
+            document.querySelectorAll('#add-chemical-form .prefilled').forEach(element => element.classList.remove('prefilled'));
+            document.getElementById('sds-prefill-status').textContent = '';
+        }
+        
+        function describeSDSPrefill(chemicalData) {
+            const ghs = chemicalData.ghs || {};
+            const list = values => (values && values.length ? values.join(', ') : '-');
+            
+            return [
+                'Add this chemical with the details read from ' + sdsPrefill.filename + '?',
+                '',
+                'Name: ' + chemicalData.name,
+                'Supplier: ' + (chemicalData.supplier || '-'),
+                'Emergency phone: ' + (chemicalData.emergency_phone || '-'),
+                'Signal word: ' + (ghs.signal_word || '-'),
+                'H-statements: ' + list(ghs.h_codes),
+                'P-statements: ' + list(ghs.p_codes),
+                'Pictograms: ' + list(ghs.pictograms),
+                'CAS numbers: ' + list(chemicalData.cas_numbers),
+                'SDS revision date: ' + (chemicalData.sds.revision_date || '-')
+            ].join('\\n');
+        }
+        
         // Modal functions
         function showCreateCustomerModal() {
             document.getElementById('create-customer-modal').style.display = 'block';
@@ -1489,6 +2094,16 @@ class GHSManagementDashboard {
             console.log('Loading complete');
         }
         
+        function escapeHtml(value) {
+            const div = document.createElement('div');
+            div.textContent = value ?? '';
+            return div.innerHTML.replace(/"/g, '&quot;');
+        }
+        
+        function splitList(value) {
+            return value.split(',').map(item => item.trim()).filter(Boolean);
+        }
+        
         function refreshCustomers() {
             loadCustomers();
         }
@@ -1583,6 +2198,9 @@ class GHSManagementDashboard {
                     <p><strong>Description:</strong> \${chemical.description || 'N/A'}</p>
                     <p><strong>Hazards:</strong> \${chemical.hazards || 'N/A'}</p>
                     <p><strong>Supplier:</strong> \${chemical.supplier || 'N/A'}</p>
+                    <p><strong>Category:</strong> \${chemical.category || 'N/A'}</p>
+                    <p><strong>Storage Location:</strong> \${chemical.storage_location || 'N/A'}</p>
+                    <p><strong>SDS:</strong> version \${chemical.sds?.version || 1}, revised \${chemical.sds?.revision_date || 'N/A'} (\${(chemical.sds_revisions || []).length} previous revisions)</p>
                     <p><strong>Last Updated:</strong> \${chemical.last_updated}</p>
                     
                     <div class="btn-group" style="margin-top: 15px;">
@@ -1646,8 +2264,45 @@ class GHSManagementDashboard {
             alert('Status checker coming soon!');
         }
         
-        function generateQRCodes() {
-            alert('QR code generator coming soon!');
+        async function generateQRCodes() {
+            const customerSlug = document.getElementById('customer-select').value;
+            if (!customerSlug) {
+                alert('Select a customer in Chemical Management first');
+                return;
+            }
+            
+            try {
+                showLoading('Generating QR codes...');
+                const response = await fetch(\`/api/customers/\${customerSlug}/qr-codes\`, { method: 'POST' });
+                const result = await response.json();
+                hideLoading();
+                
+                if (!result.success) {
+                    alert('QR code generation failed: ' + result.error);
+                    return;
+                }
+                
+                document.getElementById('deployment-status').innerHTML = \`
+                    <h3 style="margin: 20px 0 10px;">📱 QR Codes for \${escapeHtml(result.customer)}</h3>
+                    <div class="grid">
+                        \${result.codes.map(code => \`
+                            <div class="card" style="text-align: center;">
+                                <h3>\${escapeHtml(code.label)}</h3>
+                                <img src="\${code.png_url}" alt="QR code for \${escapeHtml(code.label)}" style="width: 160px; height: 160px;">
+                                <p style="font-size: 0.8rem; word-break: break-all;">\${escapeHtml(code.url)}</p>
+                                <div class="btn-group" style="justify-content: center;">
+                                    <a class="btn" href="\${code.png_url}" download>📥 PNG</a>
+                                    <a class="btn" href="\${code.svg_url}" download>📥 SVG</a>
+                                </div>
+                            </div>
+                        \`).join('')}
+                    </div>
+                \`;
+            } catch (error) {
+                console.error('QR code error:', error);
+                alert('QR code generation failed');
+                hideLoading();
+            }
         }
     </script>
 </body>
@@ -1656,6 +2311,10 @@ class GHSManagementDashboard {
     }
 
     start() {
+        if (process.env.SCHEDULER_ENABLED !== 'false') {
+            this.scheduler.start();
+        }
+        
         this.app.listen(this.port, () => {
             console.log(`🎛️ GHS Management Dashboard started on http://localhost:${this.port}`);
             console.log(`🔒 Secure backend interface for Rasco, Inc.`);
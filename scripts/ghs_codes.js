@@ -0,0 +1,378 @@
+/*
+ * GHS Hazard Communication Code Table
+ * RascoWeb, Inc. - Professional GHS Safety Binder Automation
+ *
+ * Bundled GHS signal words, pictograms, hazard (H) and precautionary (P)
+ * statements, following the GHS Rev. 9 / OSHA HCS 2024 wording. Used to
+ * validate structured chemical classifications and expand codes to full
+ * statement text for the customer sites and PDF binders.
+ */
+
+const SIGNAL_WORDS = ['Danger', 'Warning'];
+
+const PICTOGRAMS = {
+    GHS01: 'Exploding Bomb',
+    GHS02: 'Flame',
+    GHS03: 'Flame Over Circle',
+    GHS04: 'Gas Cylinder',
+    GHS05: 'Corrosion',
+    GHS06: 'Skull and Crossbones',
+    GHS07: 'Exclamation Mark',
+    GHS08: 'Health Hazard',
+    GHS09: 'Environment'
+};
+
+const HAZARD_STATEMENTS = {
+    // Physical hazards
+    H200: 'Unstable explosive',
+    H201: 'Explosive; mass explosion hazard',
+    H202: 'Explosive; severe projection hazard',
+    H203: 'Explosive; fire, blast or projection hazard',
+    H204: 'Fire or projection hazard',
+    H205: 'May mass explode in fire',
+    H206: 'Fire, blast or projection hazard; increased risk of explosion if desensitizing agent is reduced',
+    H207: 'Fire or projection hazard; increased risk of explosion if desensitizing agent is reduced',
+    H208: 'Fire hazard; increased risk of explosion if desensitizing agent is reduced',
+    H209: 'Explosive',
+    H210: 'Very sensitive',
+    H211: 'May be sensitive',
+    H220: 'Extremely flammable gas',
+    H221: 'Flammable gas',
+    H222: 'Extremely flammable aerosol',
+    H223: 'Flammable aerosol',
+    H224: 'Extremely flammable liquid and vapor',
+    H225: 'Highly flammable liquid and vapor',
+    H226: 'Flammable liquid and vapor',
+    H227: 'Combustible liquid',
+    H228: 'Flammable solid',
+    H229: 'Pressurized container: may burst if heated',
+    H230: 'May react explosively even in the absence of air',
+    H231: 'May react explosively even in the absence of air at elevated pressure and/or temperature',
+    H232: 'May ignite spontaneously if exposed to air',
+    H240: 'Heating may cause an explosion',
+    H241: 'Heating may cause a fire or explosion',
+    H242: 'Heating may cause a fire',
+    H250: 'Catches fire spontaneously if exposed to air',
+    H251: 'Self-heating; may catch fire',
+    H252: 'Self-heating in large quantities; may catch fire',
+    H260: 'In contact with water releases flammable gases which may ignite spontaneously',
+    H261: 'In contact with water releases flammable gas',
+    H270: 'May cause or intensify fire; oxidizer',
+    H271: 'May cause fire or explosion; strong oxidizer',
+    H272: 'May intensify fire; oxidizer',
+    H280: 'Contains gas under pressure; may explode if heated',
+    H281: 'Contains refrigerated gas; may cause cryogenic burns or injury',
+    H282: 'Extremely flammable chemical under pressure: may explode if heated',
+    H283: 'Flammable chemical under pressure: may explode if heated',
+    H284: 'Chemical under pressure: may explode if heated',
+    H290: 'May be corrosive to metals',
+
+    // Health hazards
+    H300: 'Fatal if swallowed',
+    H301: 'Toxic if swallowed',
+    H302: 'Harmful if swallowed',
+    H303: 'May be harmful if swallowed',
+    H304: 'May be fatal if swallowed and enters airways',
+    H305: 'May be harmful if swallowed and enters airways',
+    H310: 'Fatal in contact with skin',
+    H311: 'Toxic in contact with skin',
+    H312: 'Harmful in contact with skin',
+    H313: 'May be harmful in contact with skin',
+    H314: 'Causes severe skin burns and eye damage',
+    H315: 'Causes skin irritation',
+    H316: 'Causes mild skin irritation',
+    H317: 'May cause an allergic skin reaction',
+    H318: 'Causes serious eye damage',
+    H319: 'Causes serious eye irritation',
+    H320: 'Causes eye irritation',
+    H330: 'Fatal if inhaled',
+    H331: 'Toxic if inhaled',
+    H332: 'Harmful if inhaled',
+    H333: 'May be harmful if inhaled',
+    H334: 'May cause allergy or asthma symptoms or breathing difficulties if inhaled',
+    H335: 'May cause respiratory irritation',
+    H336: 'May cause drowsiness or dizziness',
+    H340: 'May cause genetic defects',
+    H341: 'Suspected of causing genetic defects',
+    H350: 'May cause cancer',
+    H351: 'Suspected of causing cancer',
+    H360: 'May damage fertility or the unborn child',
+    H361: 'Suspected of damaging fertility or the unborn child',
+    H362: 'May cause harm to breast-fed children',
+    H370: 'Causes damage to organs',
+    H371: 'May cause damage to organs',
+    H372: 'Causes damage to organs through prolonged or repeated exposure',
+    H373: 'May cause damage to organs through prolonged or repeated exposure',
+
+    // Environmental hazards
+    H400: 'Very toxic to aquatic life',
+    H401: 'Toxic to aquatic life',
+    H402: 'Harmful to aquatic life',
+    H410: 'Very toxic to aquatic life with long lasting effects',
+    H411: 'Toxic to aquatic life with long lasting effects',
+    H412: 'Harmful to aquatic life with long lasting effects',
+    H413: 'May cause long lasting harmful effects to aquatic life',
+    H420: 'Harms public health and the environment by destroying ozone in the upper atmosphere'
+};
+
+const PRECAUTIONARY_STATEMENTS = {
+    // General
+    P101: 'If medical advice is needed, have product container or label at hand.',
+    P102: 'Keep out of reach of children.',
+    P103: 'Read carefully and follow all instructions.',
+
+    // Prevention
+    P201: 'Obtain special instructions before use.',
+    P202: 'Do not handle until all safety precautions have been read and understood.',
+    P203: 'Obtain, read and follow all safety instructions before use.',
+    P210: 'Keep away from heat, hot surfaces, sparks, open flames and other ignition sources. No smoking.',
+    P211: 'Do not spray on an open flame or other ignition source.',
+    P212: 'Avoid heating under confinement or reduction of the desensitizing agent.',
+    P220: 'Keep away from clothing and other combustible materials.',
+    P222: 'Do not allow contact with air.',
+    P223: 'Do not allow contact with water.',
+    P230: 'Keep wetted.',
+    P231: 'Handle and store contents under inert gas.',
+    P232: 'Protect from moisture.',
+    P233: 'Keep container tightly closed.',
+    P234: 'Keep only in original packaging.',
+    P235: 'Keep cool.',
+    P236: 'Keep only in original packaging in the transport configuration.',
+    P240: 'Ground and bond container and receiving equipment.',
+    P241: 'Use explosion-proof electrical/ventilating/lighting equipment.',
+    P242: 'Use non-sparking tools.',
+    P243: 'Take action to prevent static discharges.',
+    P244: 'Keep valves and fittings free from oil and grease.',
+    P250: 'Do not subject to grinding/shock/friction.',
+    P251: 'Do not pierce or burn, even after use.',
+    P260: 'Do not breathe dust/fume/gas/mist/vapors/spray.',
+    P261: 'Avoid breathing dust/fume/gas/mist/vapors/spray.',
+    P262: 'Do not get in eyes, on skin, or on clothing.',
+    P263: 'Avoid contact during pregnancy and while nursing.',
+    P264: 'Wash hands thoroughly after handling.',
+    P265: 'Do not touch eyes.',
+    P270: 'Do not eat, drink or smoke when using this product.',
+    P271: 'Use only outdoors or in a well-ventilated area.',
+    P272: 'Contaminated work clothing should not be allowed out of the workplace.',
+    P273: 'Avoid release to the environment.',
+    P280: 'Wear protective gloves/protective clothing/eye protection/face protection.',
+    P282: 'Wear cold insulating gloves and either face shield or eye protection.',
+    P283: 'Wear fire resistant or flame retardant clothing.',
+    P284: 'In case of inadequate ventilation wear respiratory protection.',
+
+    // Response
+    P301: 'IF SWALLOWED:',
+    P302: 'IF ON SKIN:',
+    P303: 'IF ON SKIN (or hair):',
+    P304: 'IF INHALED:',
+    P305: 'IF IN EYES:',
+    P306: 'IF ON CLOTHING:',
+    P308: 'IF exposed or concerned:',
+    P310: 'Immediately call a POISON CENTER/doctor.',
+    P311: 'Call a POISON CENTER/doctor.',
+    P312: 'Call a POISON CENTER/doctor if you feel unwell.',
+    P313: 'Get medical advice/attention.',
+    P314: 'Get medical advice/attention if you feel unwell.',
+    P315: 'Get immediate medical advice/attention.',
+    P316: 'Get emergency medical help immediately.',
+    P317: 'Get medical help.',
+    P318: 'If exposed or concerned, get medical advice.',
+    P319: 'Get medical help if you feel unwell.',
+    P320: 'Specific treatment is urgent (see supplemental first aid instructions on the label).',
+    P321: 'Specific treatment (see supplemental first aid instructions on the label).',
+    P330: 'Rinse mouth.',
+    P331: 'Do NOT induce vomiting.',
+    P332: 'If skin irritation occurs:',
+    P333: 'If skin irritation or rash occurs:',
+    P334: 'Immerse in cool water or wrap in wet bandages.',
+    P335: 'Brush off loose particles from skin.',
+    P336: 'Thaw frosted parts with lukewarm water. Do not rub affected area.',
+    P337: 'If eye irritation persists:',
+    P338: 'Remove contact lenses, if present and easy to do. Continue rinsing.',
+    P340: 'Remove person to fresh air and keep comfortable for breathing.',
+    P342: 'If experiencing respiratory symptoms:',
+    P351: 'Rinse cautiously with water for several minutes.',
+    P352: 'Wash with plenty of water.',
+    P353: 'Rinse skin with water or shower.',
+    P354: 'Immediately rinse with water for several minutes.',
+    P360: 'Rinse immediately contaminated clothing and skin with plenty of water before removing clothes.',
+    P361: 'Take off immediately all contaminated clothing.',
+    P362: 'Take off contaminated clothing.',
+    P363: 'Wash contaminated clothing before reuse.',
+    P364: 'And wash it before reuse.',
+    P370: 'In case of fire:',
+    P371: 'In case of major fire and large quantities:',
+    P372: 'Explosion risk.',
+    P373: 'DO NOT fight fire when fire reaches explosives.',
+    P375: 'Fight fire remotely due to the risk of explosion.',
+    P376: 'Stop leak if safe to do so.',
+    P377: 'Leaking gas fire: Do not extinguish, unless leak can be stopped safely.',
+    P378: 'Use appropriate media to extinguish.',
+    P380: 'Evacuate area.',
+    P381: 'In case of leakage, eliminate all ignition sources.',
+    P390: 'Absorb spillage to prevent material damage.',
+    P391: 'Collect spillage.',
+
+    // Storage
+    P401: 'Store in accordance with local regulations.',
+    P402: 'Store in a dry place.',
+    P403: 'Store in a well-ventilated place.',
+    P404: 'Store in a closed container.',
+    P405: 'Store locked up.',
+    P406: 'Store in a corrosion resistant container with a resistant inner liner.',
+    P407: 'Maintain air gap between stacks or pallets.',
+    P410: 'Protect from sunlight.',
+    P411: 'Store at temperatures not exceeding the limit stated by the manufacturer.',
+    P412: 'Do not expose to temperatures exceeding 50°C/122°F.',
+    P413: 'Store bulk masses at temperatures not exceeding the limit stated by the manufacturer.',
+    P420: 'Store separately.',
+
+    // Disposal
+    P501: 'Dispose of contents/container in accordance with local regulations.',
+    P502: 'Refer to manufacturer or supplier for information on recovery or recycling.',
+    P503: 'Refer to manufacturer/supplier for information on disposal/recovery/recycling.'
+};
+
+// Pictograms that go with each hazard statement, for suggesting a label's pictograms
+const HAZARD_PICTOGRAMS = {
+    GHS01: ['H200', 'H201', 'H202', 'H203', 'H204', 'H205', 'H240', 'H241'],
+    GHS02: ['H220', 'H222', 'H223', 'H224', 'H225', 'H226', 'H228', 'H232', 'H241', 'H242', 'H250', 'H251', 'H252', 'H260', 'H261', 'H282', 'H283'],
+    GHS03: ['H270', 'H271', 'H272'],
+    GHS04: ['H280', 'H281', 'H282', 'H283', 'H284'],
+    GHS05: ['H290', 'H314', 'H318'],
+    GHS06: ['H300', 'H301', 'H310', 'H311', 'H330', 'H331'],
+    GHS07: ['H302', 'H312', 'H315', 'H317', 'H319', 'H332', 'H335', 'H336', 'H420'],
+    GHS08: ['H304', 'H334', 'H340', 'H341', 'H350', 'H351', 'H360', 'H361', 'H370', 'H371', 'H372', 'H373'],
+    GHS09: ['H400', 'H410', 'H411']
+};
+
+// GHS precedence: the exclamation mark is dropped for acute toxicity when the
+// skull and crossbones applies, and for skin/eye irritation when corrosion applies
+const EXCLAMATION_MARK_SUPERSEDED_BY = {
+    GHS06: ['H302', 'H312', 'H332'],
+    GHS05: ['H315', 'H319']
+};
+
+/**
+ * Normalize a statement code such as "p305 + p351" to "P305+P351"
+ */
+function normalizeStatementCode(code) {
+    return String(code).toUpperCase().replace(/\s+/g, '');
+}
+
+/**
+ * Normalize a pictogram code such as "ghs5" to "GHS05"
+ */
+function normalizePictogramCode(code) {
+    const match = String(code).toUpperCase().replace(/\s+/g, '').match(/^GHS0?(\d)$/);
+    return match ? `GHS0${match[1]}` : String(code).trim();
+}
+
+/**
+ * Look up the full text of an H or P statement. Combined codes
+ * (P305+P351+P338) are joined from their parts; unknown codes return null.
+ */
+function getStatementText(code) {
+    const parts = normalizeStatementCode(code).split('+');
+    const table = parts[0].startsWith('H') ? HAZARD_STATEMENTS : PRECAUTIONARY_STATEMENTS;
+    const texts = parts.map(part => table[part]);
+
+    return texts.every(Boolean) ? texts.join(' ') : null;
+}
+
+/**
+ * Validate a structured GHS classification and return it with normalized codes.
+ * Throws an Error listing every unknown signal word or code.
+ */
+function validateGHSClassification(ghs) {
+    if (!ghs || typeof ghs !== 'object') {
+        throw new Error('GHS classification must be an object');
+    }
+
+    const toList = (value, field) => {
+        if (value === undefined || value === null) return [];
+        if (!Array.isArray(value)) {
+            throw new Error(`GHS ${field} must be a list of codes`);
+        }
+        return value;
+    };
+
+    const problems = [];
+
+    let signalWord = null;
+    if (ghs.signal_word) {
+        signalWord = SIGNAL_WORDS.find(word => word.toLowerCase() === String(ghs.signal_word).trim().toLowerCase()) || null;
+        if (!signalWord) {
+            problems.push(`signal word "${ghs.signal_word}" (expected ${SIGNAL_WORDS.join(' or ')})`);
+        }
+    }
+
+    const hCodes = [...new Set(toList(ghs.h_codes, 'h_codes').map(normalizeStatementCode))];
+    const pCodes = [...new Set(toList(ghs.p_codes, 'p_codes').map(normalizeStatementCode))];
+    const pictograms = [...new Set(toList(ghs.pictograms, 'pictograms').map(normalizePictogramCode))];
+
+    const unknownH = hCodes.filter(code => !/^H\d/.test(code) || !getStatementText(code));
+    const unknownP = pCodes.filter(code => !/^P\d/.test(code) || !getStatementText(code));
+    const unknownPictograms = pictograms.filter(code => !PICTOGRAMS[code]);
+
+    if (unknownH.length > 0) problems.push(`H-statement code(s) ${unknownH.join(', ')}`);
+    if (unknownP.length > 0) problems.push(`P-statement code(s) ${unknownP.join(', ')}`);
+    if (unknownPictograms.length > 0) problems.push(`pictogram code(s) ${unknownPictograms.join(', ')} (expected GHS01-GHS09)`);
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid GHS classification - unknown ${problems.join('; ')}`);
+    }
+
+    return {
+        signal_word: signalWord,
+        h_codes: hCodes,
+        p_codes: pCodes,
+        pictograms
+    };
+}
+
+/**
+ * Expand a stored classification into full statement text for rendering.
+ * Returns null when the chemical carries no classification.
+ */
+function expandGHSClassification(ghs) {
+    if (!ghs) return null;
+
+    return {
+        signal_word: ghs.signal_word || null,
+        hazard_statements: (ghs.h_codes || []).map(code => ({ code, text: getStatementText(code) || '' })),
+        precautionary_statements: (ghs.p_codes || []).map(code => ({ code, text: getStatementText(code) || '' })),
+        pictograms: (ghs.pictograms || []).map(code => ({ code, name: PICTOGRAMS[code] || code }))
+    };
+}
+
+/**
+ * Suggest the pictograms for a set of H-statement codes, applying the GHS
+ * precedence rules for the exclamation mark
+ */
+function suggestPictograms(hCodes) {
+    const codes = hCodes.map(normalizeStatementCode);
+    const pictograms = Object.keys(HAZARD_PICTOGRAMS)
+        .filter(pictogram => HAZARD_PICTOGRAMS[pictogram].some(code => codes.includes(code)));
+
+    if (pictograms.includes('GHS07')) {
+        const superseded = pictograms.flatMap(pictogram => EXCLAMATION_MARK_SUPERSEDED_BY[pictogram] || []);
+        const stillNeeded = HAZARD_PICTOGRAMS.GHS07.some(code => codes.includes(code) && !superseded.includes(code));
+        if (!stillNeeded) {
+            return pictograms.filter(pictogram => pictogram !== 'GHS07');
+        }
+    }
+
+    return pictograms;
+}
+
+module.exports = {
+    SIGNAL_WORDS,
+    PICTOGRAMS,
+    HAZARD_STATEMENTS,
+    PRECAUTIONARY_STATEMENTS,
+    getStatementText,
+    suggestPictograms,
+    validateGHSClassification,
+    expandGHSClassification
+};
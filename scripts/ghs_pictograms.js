@@ -0,0 +1,125 @@
+/*
+ * GHS Pictogram Artwork
+ * RascoWeb, Inc. - Professional GHS Safety Binder Automation
+ *
+ * Bundled vector artwork for the nine GHS pictograms, drawn on a 100x100
+ * grid (y pointing down) as layers of SVG path data. The same paths render
+ * as inline SVG on the customer sites and through pdf-lib's drawSvgPath in
+ * the PDF binder, so no external image files are needed.
+ */
+
+const { PICTOGRAMS } = require('./ghs_codes.js');
+
+const PICTOGRAM_RED = '#e30613';
+
+// Red-bordered diamond shared by every pictogram
+const PICTOGRAM_FRAME = [
+    { d: 'M50 0 L100 50 L50 100 L0 50 Z', fill: 'red' },
+    { d: 'M50 8 L92 50 L50 92 L8 50 Z', fill: 'white' }
+];
+
+const PICTOGRAM_ARTWORK = {
+    // Exploding Bomb
+    GHS01: [
+        { d: 'M28 62 A13 13 0 1 0 54 62 A13 13 0 1 0 28 62 Z', fill: 'black' },
+        { d: 'M50 46 L56 40 L58 43 L52 49 Z', fill: 'black' },
+        { d: 'M60 24 L63 34 L72 30 L67 39 L77 42 L67 46 L71 55 L62 50 L58 59 L56 48 L48 46 L56 41 L54 31 Z', fill: 'black' },
+        { d: 'M30 38 L36 41 L34 44 Z', fill: 'black' },
+        { d: 'M68 62 L74 60 L72 66 Z', fill: 'black' }
+    ],
+    // Flame
+    GHS02: [
+        { d: 'M50 22 C58 34 67 42 65 56 C64 65 58 71 50 71 C41 71 35 65 35 56 C35 47 42 43 44 34 C47 41 48 45 52 48 C55 40 53 31 50 22 Z', fill: 'black' },
+        { d: 'M32 74 H68 V78 H32 Z', fill: 'black' }
+    ],
+    // Flame Over Circle
+    GHS03: [
+        { d: 'M50 22 C55 29 61 35 60 44 C59 50 55 53 50 53 C45 53 41 50 41 44 C41 38 45 35 46 30 C48 34 49 37 51 38 C52 33 51 28 50 22 Z', fill: 'black' },
+        { d: 'M37 63 A13 13 0 1 0 63 63 A13 13 0 1 0 37 63 Z', fill: 'black' },
+        { d: 'M43 63 A7 7 0 1 0 57 63 A7 7 0 1 0 43 63 Z', fill: 'white' },
+        { d: 'M32 76 H68 V79 H32 Z', fill: 'black' }
+    ],
+    // Gas Cylinder
+    GHS04: [
+        { d: 'M30 62 L58 34 Q64 28 70 34 Q76 40 70 46 L42 74 Q36 80 30 74 Q24 68 30 62 Z', fill: 'black' },
+        { d: 'M68 30 L72 26 L78 32 L74 36 Z', fill: 'black' },
+        { d: 'M72 24 L76 20 L82 26 L78 30 Z', fill: 'black' }
+    ],
+    // Corrosion
+    GHS05: [
+        { d: 'M28 26 L36 22 L44 36 L36 40 Z', fill: 'black' },
+        { d: 'M56 36 L64 22 L72 26 L64 40 Z', fill: 'black' },
+        { d: 'M38 46 A2.5 2.5 0 1 0 43 46 A2.5 2.5 0 1 0 38 46 Z', fill: 'black' },
+        { d: 'M39 53 A2 2 0 1 0 43 53 A2 2 0 1 0 39 53 Z', fill: 'black' },
+        { d: 'M58 46 A2.5 2.5 0 1 0 63 46 A2.5 2.5 0 1 0 58 46 Z', fill: 'black' },
+        { d: 'M59 53 A2 2 0 1 0 63 53 A2 2 0 1 0 59 53 Z', fill: 'black' },
+        { d: 'M24 60 H36 L39 64 L42 60 H46 V68 H24 Z', fill: 'black' },
+        { d: 'M54 62 Q58 58 62 61 L64 60 L68 62 L72 60 L76 64 V70 H56 Q52 68 54 62 Z', fill: 'black' },
+        { d: 'M22 72 H78 V76 H22 Z', fill: 'black' }
+    ],
+    // Skull and Crossbones
+    GHS06: [
+        { d: 'M32 60 L36 56 L70 74 L66 78 Z', fill: 'black' },
+        { d: 'M68 60 L64 56 L30 74 L34 78 Z', fill: 'black' },
+        { d: 'M50 22 C40 22 34 29 34 38 C34 44 37 47 40 49 V56 H60 V49 C63 47 66 44 66 38 C66 29 60 22 50 22 Z', fill: 'black' },
+        { d: 'M39 38 A4.5 4.5 0 1 0 48 38 A4.5 4.5 0 1 0 39 38 Z', fill: 'white' },
+        { d: 'M52 38 A4.5 4.5 0 1 0 61 38 A4.5 4.5 0 1 0 52 38 Z', fill: 'white' },
+        { d: 'M50 43 L53 48 H47 Z', fill: 'white' },
+        { d: 'M44 52 H46 V56 H44 Z M49 52 H51 V56 H49 Z M54 52 H56 V56 H54 Z', fill: 'white' }
+    ],
+    // Exclamation Mark
+    GHS07: [
+        { d: 'M45 24 H55 L53 60 H47 Z', fill: 'black' },
+        { d: 'M45 69 A5 5 0 1 0 55 69 A5 5 0 1 0 45 69 Z', fill: 'black' }
+    ],
+    // Health Hazard
+    GHS08: [
+        { d: 'M43 30 A7 7 0 1 0 57 30 A7 7 0 1 0 43 30 Z', fill: 'black' },
+        { d: 'M31 76 C31 56 38 42 50 42 C62 42 69 56 69 76 Z', fill: 'black' },
+        { d: 'M50 48 L53 56 L61 56 L55 61 L57 69 L50 64 L43 69 L45 61 L39 56 L47 56 Z', fill: 'white' }
+    ],
+    // Environment
+    GHS09: [
+        { d: 'M35 36 H38 V66 H35 Z', fill: 'black' },
+        { d: 'M36 50 L27 40 L29 38 L38 48 Z', fill: 'black' },
+        { d: 'M37 46 L44 34 L46 36 L39 48 Z', fill: 'black' },
+        { d: 'M36 58 L29 52 L31 50 L38 56 Z', fill: 'black' },
+        { d: 'M48 60 C52 53 62 53 67 60 C62 66 52 66 48 60 Z', fill: 'black' },
+        { d: 'M66 60 L74 55 L74 65 Z', fill: 'black' },
+        { d: 'M52 58 L55 61 M55 58 L52 61', stroke: 'white' },
+        { d: 'M24 67 H76 V70 H24 Z', fill: 'black' }
+    ]
+};
+
+const SVG_COLORS = { red: PICTOGRAM_RED, white: '#ffffff', black: '#000000' };
+
+/**
+ * Frame and symbol layers for a pictogram code, or null for unknown codes
+ */
+function getPictogramLayers(code) {
+    const artwork = PICTOGRAM_ARTWORK[code];
+    return artwork ? [...PICTOGRAM_FRAME, ...artwork] : null;
+}
+
+/**
+ * Render a pictogram as a self-contained inline SVG element
+ */
+function renderPictogramSVG(code, size = 64) {
+    const layers = getPictogramLayers(code);
+    if (!layers) return '';
+
+    const paths = layers.map(layer => layer.stroke
+        ? `<path d="${layer.d}" fill="none" stroke="${SVG_COLORS[layer.stroke]}" stroke-width="1.5"/>`
+        : `<path d="${layer.d}" fill="${SVG_COLORS[layer.fill]}"/>`
+    ).join('');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100" width="${size}" height="${size}" role="img" aria-label="${PICTOGRAMS[code]} (${code})"><title>${PICTOGRAMS[code]} (${code})</title>${paths}</svg>`;
+}
+
+module.exports = {
+    PICTOGRAM_RED,
+    PICTOGRAM_FRAME,
+    PICTOGRAM_ARTWORK,
+    getPictogramLayers,
+    renderPictogramSVG
+};
@@ -11,8 +11,15 @@
 const fs = require('fs');
 const fsp = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const { Octokit } = require('@octokit/rest');
 const mustache = require('mustache');
+const QRCode = require('qrcode');
+const { GHSBinderPDFGenerator } = require('../pdf_binder_generator_v2.js');
+const { PICTOGRAMS, expandGHSClassification } = require('./ghs_codes.js');
+const { renderPictogramSVG } = require('./ghs_pictograms.js');
+const { buildSearchIndex } = require('./search_index.js');
+const { findIncompleteSDSs } = require('./sds_parser.js');
 const fetch = require('node-fetch'); // node-fetch is needed for the verifyPDFsOnPages method
 
 // Detect GitHub Pages branch
@@ -26,6 +33,55 @@ async function detectPagesBranch(owner, repo, octokit) {
   }
 }
 
+// pdf.js files shipped with every site for the inline SDS viewer (legacy build for older kiosks and phones)
+const PDF_VIEWER_FILES = ['pdf.min.mjs', 'pdf.worker.min.mjs'];
+const PDF_VIEWER_PATH = 'assets/pdfjs';
+
+// Serialize data for an inline <script>, so config text cannot close the tag early
+function toScriptJSON(data) {
+  return JSON.stringify(data)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+// The product data published on the site. Only fields the site uses are copied, so
+// internal records (who uploaded or reviewed an SDS, check results) stay private.
+function toPublicProduct(chemical) {
+  const sds = chemical.sds || {};
+
+  return {
+    id: chemical.id,
+    name: chemical.name,
+    description: chemical.description,
+    hazards: chemical.hazards,
+    ghs: expandGHSClassification(chemical.ghs),
+    synonyms: chemical.synonyms || [],
+    cas_numbers: chemical.cas_numbers || [],
+    supplier: chemical.supplier,
+    emergency_phone: chemical.emergency_phone || null,
+    category: chemical.category || null,
+    storage_location: chemical.storage_location || null,
+    literature: chemical.literature && {
+      url: chemical.literature.url,
+      title: chemical.literature.title
+    },
+    sds: chemical.sds && {
+      url: sds.url,
+      title: sds.title,
+      revision_date: sds.revision_date || null,
+      version: sds.version || null,
+      last_reviewed: sds.last_reviewed || null
+    },
+    sds_revisions: (chemical.sds_revisions || []).map(revision => ({
+      url: revision.url,
+      version: revision.version,
+      revision_date: revision.revision_date || null,
+      uploaded_at: revision.uploaded_at || null
+    }))
+  };
+}
+
 class GHSBinderDeployer {
     constructor(githubToken) {
         this.octokit = new Octokit({
@@ -33,8 +89,11 @@ class GHSBinderDeployer {
             userAgent: 'RascoWeb-GHS-Binder-v1.0.0'
         });
         this.owner = 'rascoused';
+        this.pdfGenerator = new GHSBinderPDFGenerator();
         this.templatePath = path.join(__dirname, '../templates/ghs_binder_template.html');
+        this.serviceWorkerTemplatePath = path.join(__dirname, '../templates/service_worker_template.js');
         this.configsPath = path.join(__dirname, '../customer_configs');
+        this.qrCodesPath = path.join(__dirname, '../qr-codes');
     }
 
     /**
@@ -68,6 +127,26 @@ class GHSBinderDeployer {
         });
     }
 
+    /**
+     * Download a file from a customer repository, using the blob API so PDFs over 1 MB work
+     */
+    async downloadRepoFile(repoName, filePath, branch) {
+        const { data: file } = await this.octokit.rest.repos.getContent({
+            owner: this.owner,
+            repo: repoName,
+            path: filePath,
+            ...(branch && { ref: branch })
+        });
+        
+        const { data: blob } = await this.octokit.rest.git.getBlob({
+            owner: this.owner,
+            repo: repoName,
+            file_sha: file.sha
+        });
+        
+        return Buffer.from(blob.content, blob.encoding);
+    }
+
     /**
      * Upload customer-specific assets (logos, images, etc.)
      */
@@ -120,6 +199,30 @@ class GHSBinderDeployer {
         }
     }
 
+    /**
+     * Upload the bundled pdf.js build to assets/pdfjs/ for the site's inline document viewer
+     */
+    async uploadPdfViewer(repoName, branch = 'main') {
+        const pdfjsBuildPath = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'legacy', 'build');
+        
+        console.log('📖 Uploading bundled pdf.js viewer...');
+        
+        for (const filename of PDF_VIEWER_FILES) {
+            const buffer = await fsp.readFile(path.join(pdfjsBuildPath, filename));
+            
+            await this.safeUploadBinary(
+                this.owner,
+                repoName,
+                branch,
+                `${PDF_VIEWER_PATH}/${filename}`,
+                buffer,
+                `Upload pdf.js viewer: ${filename}`
+            );
+        }
+        
+        console.log(`✅ Uploaded pdf.js viewer to ${PDF_VIEWER_PATH}/`);
+    }
+
     /**
      * Verify that PDFs uploaded to GitHub Pages are accessible and valid.
      * Uses HTTP HEAD to confirm status 200, and basic size/content-type checks.
@@ -167,6 +270,19 @@ class GHSBinderDeployer {
         try {
             console.log(`🚀 Deploying GHS binder for ${customerConfig.customer_info.name}...`);
             
+            // Versions the offline cache and dates the site's offline banner
+            const deployedAt = new Date().toISOString();
+            
+            // An SDS that failed the completeness check stops the deploy unless it was overridden
+            const incompleteSDSs = findIncompleteSDSs(customerConfig).filter(entry => !entry.override);
+            if (incompleteSDSs.length > 0) {
+                const list = incompleteSDSs.map(entry => `${entry.chemical} (${entry.filename})`).join(', ');
+                throw new Error(`Deploy blocked - SDS completeness check failed for ${list}. Replace the SDS or override the check.`);
+            }
+            
+            // Step 0: Build the complete binder first so a bad source PDF stops the deploy
+            const binder = await this.generateCompleteBinder(customerConfig);
+            
             // Step 1: Create GitHub repository
             const repo = await this.createRepository(customerConfig);
             const repoName = repo.name;
@@ -175,14 +291,18 @@ class GHSBinderDeployer {
             const branch = repo.default_branch || 'main';
             console.log(`📂 Using repository branch: ${branch}`);
             
-            // Step 3: Generate HTML from template
-            const html = await this.generateHTML(customerConfig);
+            // Step 3: Generate HTML, web app manifest and service worker from templates
+            const html = await this.generateHTML(customerConfig, deployedAt);
+            const manifest = this.generateManifest(customerConfig);
+            const serviceWorker = await this.generateServiceWorker(customerConfig, deployedAt);
             
             // Step 4: Create directory structure and disable Jekyll
             await this.createDirectoryStructure(repoName, branch);
             
             // Step 5: Upload HTML and README (text files use uploadFile)
             await this.uploadFile(repoName, 'index.html', html, 'Deploy GHS safety binder website', branch);
+            await this.uploadFile(repoName, 'manifest.webmanifest', manifest, 'Deploy web app manifest', branch);
+            await this.uploadFile(repoName, 'service-worker.js', serviceWorker, 'Deploy offline service worker', branch);
             const readme = this.generateReadme(customerConfig);
             await this.uploadFile(repoName, 'README.md', readme, 'Add repository documentation', branch);
             
@@ -190,6 +310,9 @@ class GHSBinderDeployer {
             const customerSlug = customerConfig.customer_info.slug;
             await this.uploadCustomerAssets(repoName, customerSlug, branch);
             
+            // Step 6b: Upload the bundled pdf.js used by the inline SDS viewer
+            await this.uploadPdfViewer(repoName, branch);
+            
             // Step 7: Upload PDFs
             const chemicals = customerConfig.chemicals || [];
             console.log(`📄 Uploading PDFs for ${chemicals.length} chemicals...`);
@@ -230,6 +353,16 @@ class GHSBinderDeployer {
                 }
             }
             
+            // Step 7a: Upload archived SDS revisions that are not on the site yet
+            await this.uploadSDSArchive(repoName, chemicals, branch);
+            
+            // Step 7b: Upload the complete binder to its configured URL
+            await this.uploadCompleteBinder(repoName, binder, branch);
+            
+            // Step 7c: Generate QR codes locally and upload them to qr-codes/
+            const qrCodes = await this.generateQRCodes(customerConfig);
+            await this.uploadQRCodes(repoName, qrCodes, branch);
+            
             // Step 8: Enable GitHub Pages - uses detected branch
             await this.enablePages(repoName, branch);
             
@@ -240,18 +373,23 @@ class GHSBinderDeployer {
             // Verify PDFs on Pages
             await this.verifyPDFsOnPages(repoName, chemicals);
             
-            // Step 9: Generate QR codes
-            const qrCodes = await this.generateQRCodes(customerConfig);
-            
             console.log(`✅ Successfully deployed: ${repo.html_url}`);
             
+            // Step 9: Remember what was deployed so config changes can be detected
+            await this.recordDeployment(customerConfig, deployedAt);
+            
             return {
                 success: true,
                 repository: repo,
                 url: `https://${this.owner}.github.io/${repo.name}`,
                 qr_codes: qrCodes,
+                complete_binder: {
+                    url: binder.url,
+                    pages: binder.pages,
+                    size: binder.size
+                },
                 deployment_info: {
-                    deployed_at: new Date().toISOString(),
+                    deployed_at: deployedAt,
                     version: '1.0.0',
                     total_chemicals: customerConfig.chemicals.length
                 }
@@ -263,6 +401,121 @@ class GHSBinderDeployer {
         }
     }
 
+    /**
+     * Hash of everything in a customer config except its deployment record,
+     * so recording a deploy does not count as a config change
+     */
+    getConfigFingerprint(customerConfig) {
+        const { deployment, ...content } = customerConfig;
+        return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+    }
+
+    /**
+     * True when a customer config has changed since its last recorded deploy
+     */
+    hasConfigChanged(customerConfig) {
+        const deployedHash = customerConfig.deployment?.config_hash;
+        return !deployedHash || deployedHash !== this.getConfigFingerprint(customerConfig);
+    }
+
+    /**
+     * Record the deploy time and config fingerprint in the saved customer config
+     */
+    async recordDeployment(customerConfig, deployedAt) {
+        const configPath = path.join(this.configsPath, `${customerConfig.customer_info.slug}.json`);
+        
+        let savedConfig;
+        try {
+            savedConfig = JSON.parse(await fsp.readFile(configPath, 'utf8'));
+        } catch (error) {
+            console.warn(`⚠️ Deployment not recorded, config not found: ${configPath}`);
+            return;
+        }
+        
+        const deployment = {
+            ...customerConfig.deployment,
+            status: 'active',
+            last_deployed: deployedAt,
+            config_hash: this.getConfigFingerprint(customerConfig)
+        };
+        
+        customerConfig.deployment = deployment;
+        savedConfig.deployment = { ...savedConfig.deployment, ...deployment };
+        await fsp.writeFile(configPath, JSON.stringify(savedConfig, null, 2));
+    }
+
+    /**
+     * Upload archived SDS revisions (pdfs/archive/<chemical-id>/v<version>/) to the site.
+     * Archives never change, so revisions already in the repository are skipped.
+     */
+    async uploadSDSArchive(repoName, chemicals, branch = 'main') {
+        for (const chemical of chemicals) {
+            for (const revision of chemical.sds_revisions || []) {
+                const archivePath = path.join(__dirname, '..', revision.url);
+                
+                try {
+                    await this.octokit.rest.repos.getContent({
+                        owner: this.owner,
+                        repo: repoName,
+                        path: revision.url,
+                        ref: branch
+                    });
+                    continue;
+                } catch (error) {
+                    if (error.status !== 404) throw error;
+                }
+                
+                if (!fs.existsSync(archivePath)) {
+                    console.warn(`⚠️  Archived SDS not found: ${archivePath}`);
+                    continue;
+                }
+                
+                await this.safeUploadBinary(
+                    this.owner,
+                    repoName,
+                    branch,
+                    revision.url,
+                    await fsp.readFile(archivePath),
+                    `Archive SDS version ${revision.version} for ${chemical.name}`
+                );
+                
+                console.log(`🗄️ Uploaded archived SDS: ${revision.url}`);
+            }
+        }
+    }
+
+    /**
+     * Generate the complete binder PDF for a customer, failing the deploy on any error
+     */
+    async generateCompleteBinder(customerConfig) {
+        try {
+            return await this.pdfGenerator.generateCompleteBinder(customerConfig);
+        } catch (error) {
+            throw new Error(`Complete binder generation failed for ${customerConfig.customer_info.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Upload a generated complete binder to the path given by site_settings.complete_binder.url
+     */
+    async uploadCompleteBinder(repoName, binder, branch = 'main') {
+        const repoPath = binder.url.replace(/^(\.\/|\/)+/, '');
+        const buffer = await fsp.readFile(binder.path);
+        
+        console.log(`⬆️  Uploading complete binder (${binder.pages} pages, ${binder.size}) to ${repoPath}`);
+        
+        await this.safeUploadBinary(
+            this.owner,
+            repoName,
+            branch,
+            repoPath,
+            buffer,
+            `Upload complete GHS binder for ${binder.customer}`
+        );
+        
+        console.log(`✅ Uploaded complete binder: ${repoPath}`);
+    }
+
     /**
      * Create GitHub repository for customer - FIXED for personal account
      */
@@ -305,12 +558,15 @@ class GHSBinderDeployer {
     /**
      * Generate HTML from template with customer data
      */
-    async generateHTML(customerConfig) {
+    async generateHTML(customerConfig, deployedAt = new Date().toISOString()) {
         try {
             const template = await fsp.readFile(this.templatePath, 'utf8');
             const customerInfo = customerConfig.customer_info;
             const chemicals = customerConfig.chemicals.filter(c => c.active);
             
+            // GHS codes are expanded to full statement text for the site and its search index
+            const products = chemicals.map(toPublicProduct);
+            
             // Prepare template data
             const templateData = {
                 CUSTOMER_NAME: customerInfo.name,
@@ -319,6 +575,8 @@ class GHSBinderDeployer {
                 CUSTOMER_EMERGENCY: customerInfo.contact.emergency,
                 LAST_UPDATED: customerConfig.site_settings.last_updated,
                 GENERATION_DATE: new Date().toLocaleDateString(),
+                DEPLOYED_AT: deployedAt,
+                PDF_VIEWER_PATH,
                 TOTAL_PRODUCTS: chemicals.length,
                 TOTAL_DOCUMENTS: chemicals.length * 2, // Literature + SDS per chemical
                 
@@ -326,8 +584,12 @@ class GHSBinderDeployer {
                 COMPLETE_BINDER_URL: customerConfig.site_settings.complete_binder?.url,
                 
                 // JavaScript data
-                PRODUCTS_JSON: JSON.stringify(chemicals),
-                CUSTOMER_INFO_JSON: JSON.stringify({
+                PRODUCTS_JSON: toScriptJSON(products),
+                SEARCH_INDEX_JSON: toScriptJSON(buildSearchIndex(products)),
+                GHS_PICTOGRAMS_JSON: toScriptJSON(Object.fromEntries(
+                    Object.keys(PICTOGRAMS).map(code => [code, renderPictogramSVG(code)])
+                )),
+                CUSTOMER_INFO_JSON: toScriptJSON({
                     name: customerInfo.name,
                     contact: customerInfo.contact,
                     branding: customerInfo.branding
@@ -346,6 +608,81 @@ class GHSBinderDeployer {
         }
     }
 
+    /**
+     * Generate the web app manifest so the binder can be installed to a home screen
+     */
+    generateManifest(customerConfig) {
+        const customerInfo = customerConfig.customer_info;
+        const logoUrl = customerInfo.branding?.logo_url;
+        const iconTypes = { '.png': 'image/png', '.svg': 'image/svg+xml', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.webp': 'image/webp' };
+        const iconType = logoUrl && iconTypes[path.extname(logoUrl).toLowerCase()];
+        
+        const manifest = {
+            name: `${customerInfo.name} - GHS Safety Binder`,
+            short_name: 'GHS Binder',
+            description: `Chemical safety documentation for ${customerInfo.name}`,
+            start_url: './',
+            scope: './',
+            display: 'standalone',
+            background_color: '#f5f5f5',
+            theme_color: customerInfo.branding?.primary_color || '#3498db',
+            icons: iconType ? [{ src: logoUrl, sizes: 'any', type: iconType }] : []
+        };
+        
+        return JSON.stringify(manifest, null, 2);
+    }
+
+    /**
+     * Site-relative URLs the service worker caches for offline use:
+     * the page, its manifest, the pdf.js viewer, customer assets and every active SDS
+     */
+    getPrecacheUrls(customerConfig) {
+        const customerSlug = customerConfig.customer_info.slug;
+        const urls = [
+            './',
+            'index.html',
+            'manifest.webmanifest',
+            ...PDF_VIEWER_FILES.map(filename => `${PDF_VIEWER_PATH}/${filename}`)
+        ];
+        
+        const logoUrl = customerConfig.customer_info.branding?.logo_url;
+        if (logoUrl) urls.push(logoUrl);
+        
+        // Same files uploadCustomerAssets publishes to assets/
+        const customerAssetsPath = path.join(__dirname, '..', 'assets', customerSlug);
+        if (fs.existsSync(customerAssetsPath)) {
+            for (const entry of fs.readdirSync(customerAssetsPath, { withFileTypes: true })) {
+                if (entry.isFile() && !entry.name.startsWith('.')) {
+                    urls.push(`assets/${entry.name}`);
+                }
+            }
+        }
+        
+        for (const chemical of customerConfig.chemicals.filter(c => c.active)) {
+            if (chemical.sds?.url) urls.push(chemical.sds.url);
+        }
+        
+        return [...new Set(urls)];
+    }
+
+    /**
+     * Generate the offline service worker with a cache versioned by deploy time
+     */
+    async generateServiceWorker(customerConfig, deployedAt) {
+        const template = await fsp.readFile(this.serviceWorkerTemplatePath, 'utf8');
+        const cachePrefix = `ghs-binder-${customerConfig.customer_info.slug}-`;
+        const precacheUrls = this.getPrecacheUrls(customerConfig);
+        
+        const serviceWorker = mustache.render(template, {
+            CACHE_PREFIX_JSON: JSON.stringify(cachePrefix),
+            CACHE_NAME_JSON: JSON.stringify(cachePrefix + deployedAt.replace(/\D/g, '')),
+            PRECACHE_URLS_JSON: JSON.stringify(precacheUrls, null, 4)
+        });
+        
+        console.log(`📴 Generated service worker caching ${precacheUrls.length} files for offline use`);
+        return serviceWorker;
+    }
+
     /**
      * Upload text files (HTML, README, etc.)
      */
@@ -471,22 +808,141 @@ Professional GHS Binder System provided by **RascoWeb, Inc.**
     }
 
     /**
-     * Generate QR codes for customer access
+     * Generate PNG and SVG QR codes for customer access into qr-codes/<slug>/
      */
     async generateQRCodes(customerConfig) {
-        const baseUrl = `https://${this.owner}.github.io/${customerConfig.customer_info.github_repo.name}`;
+        const baseUrl = this.getSiteUrl(customerConfig);
+        const customerSlug = customerConfig.customer_info.slug;
+        const outputDir = path.join(this.qrCodesPath, customerSlug);
+        
+        // QR codes for different access points, plus a deep link for every active product
+        const targets = [
+            { key: 'main_site', label: 'Main Site', url: `${baseUrl}/` },
+            { key: 'mobile_optimized', label: 'Mobile Access', url: `${baseUrl}/?mobile=1` },
+            { key: 'emergency_access', label: 'Emergency Access', url: `${baseUrl}/?emergency=1` }
+        ];
+        
+        for (const chemical of customerConfig.chemicals.filter(c => c.active)) {
+            targets.push({
+                key: `product-${chemical.id.replace(/[^a-z0-9-]/gi, '-')}`,
+                label: chemical.name,
+                chemical_id: chemical.id,
+                url: `${baseUrl}/#/product/${encodeURIComponent(chemical.id)}`
+            });
+        }
+        
+        // Start from a clean folder so codes for removed products do not linger
+        await fsp.rm(outputDir, { recursive: true, force: true });
+        await fsp.mkdir(outputDir, { recursive: true });
         
-        // QR codes for different access points
-        const qrCodes = {
-            main_site: `${baseUrl}`,
-            mobile_optimized: `${baseUrl}?mobile=1`,
-            emergency_access: `${baseUrl}?emergency=1`
+        const codes = [];
+        for (const target of targets) {
+            const options = { errorCorrectionLevel: 'M', margin: 2 };
+            const png = await QRCode.toBuffer(target.url, { ...options, type: 'png', width: 600 });
+            const svg = await QRCode.toString(target.url, { ...options, type: 'svg' });
+            
+            const pngFilename = `${target.key}.png`;
+            const svgFilename = `${target.key}.svg`;
+            await fsp.writeFile(path.join(outputDir, pngFilename), png);
+            await fsp.writeFile(path.join(outputDir, svgFilename), svg);
+            
+            codes.push({ ...target, png: pngFilename, svg: svgFilename });
+        }
+        
+        console.log(`📱 Generated ${codes.length} QR codes for ${customerConfig.customer_info.name} in ${outputDir}`);
+        
+        return {
+            main_site: targets[0].url,
+            mobile_optimized: targets[1].url,
+            emergency_access: targets[2].url,
+            directory: outputDir,
+            codes
         };
+    }
+
+    /**
+     * Base URL of a customer's GitHub Pages site
+     */
+    getSiteUrl(customerConfig) {
+        return `https://${this.owner}.github.io/${customerConfig.customer_info.github_repo.name}`;
+    }
+
+    /**
+     * Build printable QR placard sheets ('product' or 'location') pointing at the customer's site
+     */
+    async generateQRPlacards(customerConfig, groupBy = 'product') {
+        return this.pdfGenerator.generateQRPlacards(customerConfig, {
+            groupBy,
+            siteUrl: this.getSiteUrl(customerConfig)
+        });
+    }
+
+    /**
+     * Upload generated QR code images to the repository's qr-codes/ folder,
+     * removing codes for products that are no longer active
+     */
+    async uploadQRCodes(repoName, qrCodes, branch = 'main') {
+        await this.removeStaleQRCodes(repoName, qrCodes, branch);
+        
+        for (const code of qrCodes.codes) {
+            for (const filename of [code.png, code.svg]) {
+                const buffer = await fsp.readFile(path.join(qrCodes.directory, filename));
+                
+                await this.safeUploadBinary(
+                    this.owner,
+                    repoName,
+                    branch,
+                    `qr-codes/${filename}`,
+                    buffer,
+                    `Upload ${code.label} QR code`
+                );
+            }
+        }
         
-        // Generate actual QR code images (placeholder for now)
-        console.log(`📱 QR codes generated for ${customerConfig.customer_info.name}`);
+        console.log(`✅ Uploaded ${qrCodes.codes.length * 2} QR code files to qr-codes/`);
+    }
+
+    /**
+     * Delete files in the repository's qr-codes/ folder that were not generated this deploy
+     */
+    async removeStaleQRCodes(repoName, qrCodes, branch = 'main') {
+        let existingFiles;
+        try {
+            const { data } = await this.octokit.rest.repos.getContent({
+                owner: this.owner,
+                repo: repoName,
+                path: 'qr-codes',
+                ref: branch
+            });
+            existingFiles = Array.isArray(data) ? data.filter(item => item.type === 'file') : [];
+        } catch (error) {
+            // Only ignore 404 errors (nothing uploaded yet)
+            if (error.status !== 404) {
+                throw error;
+            }
+            return;
+        }
+        
+        const current = new Set(qrCodes.codes.flatMap(code => [code.png, code.svg]));
+        // Only product codes come and go; other files such as .gitkeep are left alone
+        const stale = existingFiles.filter(file =>
+            /^product-.*\.(png|svg)$/.test(file.name) && !current.has(file.name)
+        );
         
-        return qrCodes;
+        for (const file of stale) {
+            await this.octokit.rest.repos.deleteFile({
+                owner: this.owner,
+                repo: repoName,
+                path: file.path,
+                message: `Remove stale QR code ${file.name}`,
+                sha: file.sha,
+                branch
+            });
+        }
+        
+        if (stale.length > 0) {
+            console.log(`🗑️ Removed ${stale.length} stale QR code files from qr-codes/`);
+        }
     }
 
     /**
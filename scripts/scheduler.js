@@ -0,0 +1,201 @@
+/*
+ * Scheduled Maintenance Jobs
+ * RascoWeb, Inc. - Professional GHS Safety Binder Automation
+ *
+ * Runs the dashboard's maintenance jobs on node-cron schedules and keeps a
+ * history of every run, so the last result of each job can be checked over
+ * the API. Jobs can also be run on demand.
+ */
+
+const cron = require('node-cron');
+const fs = require('fs').promises;
+const path = require('path');
+
+const HISTORY_LIMIT = 100;
+
+class JobScheduler {
+    constructor({ timezone, historyPath, historyLimit = HISTORY_LIMIT } = {}) {
+        this.timezone = timezone;
+        this.historyPath = historyPath;
+        this.historyLimit = historyLimit;
+        this.jobs = new Map();
+        this.history = [];
+        this.historyLoaded = null;
+        this.started = false;
+    }
+
+    /**
+     * Register a job; run() receives nothing and returns the job's result
+     */
+    register(name, { schedule, description = '', enabled = true, run }) {
+        if (enabled && !cron.validate(schedule)) {
+            throw new Error(`Invalid schedule for ${name}: "${schedule}"`);
+        }
+
+        this.jobs.set(name, {
+            name,
+            description,
+            schedule,
+            enabled,
+            run,
+            task: null,
+            running: false
+        });
+    }
+
+    /**
+     * Schedule every enabled job
+     */
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        for (const job of this.jobs.values()) {
+            if (!job.enabled) continue;
+
+            job.task = cron.schedule(job.schedule, () => {
+                this.runJob(job.name, 'schedule').catch(error => {
+                    console.error(`❌ Scheduled job ${job.name} failed:`, error.message);
+                });
+            }, { timezone: this.timezone });
+
+            console.log(`⏰ Scheduled ${job.name}: ${job.schedule}`);
+        }
+    }
+
+    stop() {
+        for (const job of this.jobs.values()) {
+            if (job.task) {
+                job.task.stop();
+                job.task = null;
+            }
+        }
+        this.started = false;
+    }
+
+    /**
+     * Run a job now and record the run. A job that is still running is not
+     * started twice; the skipped run is recorded instead.
+     */
+    async runJob(name, trigger = 'manual') {
+        const job = this.jobs.get(name);
+        if (!job) {
+            throw new Error(`Unknown job: ${name}`);
+        }
+
+        const startedAt = new Date();
+        const entry = {
+            job: name,
+            trigger,
+            started_at: startedAt.toISOString(),
+            finished_at: null,
+            duration_ms: null,
+            status: 'running'
+        };
+
+        if (job.running) {
+            entry.finished_at = entry.started_at;
+            entry.duration_ms = 0;
+            entry.status = 'skipped';
+            entry.error = 'Previous run still in progress';
+            await this.recordRun(entry);
+            return entry;
+        }
+
+        job.running = true;
+        console.log(`🔧 Running job ${name} (${trigger})...`);
+
+        try {
+            entry.result = await job.run();
+            entry.status = 'success';
+            console.log(`✅ Job ${name} finished`);
+        } catch (error) {
+            entry.status = 'failed';
+            entry.error = error.message;
+            console.error(`❌ Job ${name} failed:`, error.message);
+        } finally {
+            job.running = false;
+        }
+
+        const finishedAt = new Date();
+        entry.finished_at = finishedAt.toISOString();
+        entry.duration_ms = finishedAt - startedAt;
+
+        await this.recordRun(entry);
+        return entry;
+    }
+
+    /**
+     * Registered jobs with their schedule and last run
+     */
+    async getJobs() {
+        await this.loadHistory();
+
+        return [...this.jobs.values()].map(job => ({
+            name: job.name,
+            description: job.description,
+            schedule: job.schedule,
+            enabled: job.enabled,
+            scheduled: Boolean(job.task),
+            running: job.running,
+            last_run: this.history.find(entry => entry.job === job.name) || null
+        }));
+    }
+
+    /**
+     * Recorded runs, newest first, optionally for one job
+     */
+    async getHistory(name = null, limit = this.historyLimit) {
+        await this.loadHistory();
+
+        return this.history
+            .filter(entry => !name || entry.job === name)
+            .slice(0, limit);
+    }
+
+    async recordRun(entry) {
+        // Saved runs must be read first, or saving would overwrite them
+        await this.loadHistory();
+
+        this.history.unshift(entry);
+        this.history = this.history.slice(0, this.historyLimit);
+        await this.saveHistory();
+    }
+
+    /**
+     * Read the saved run history once; every caller waits for the same read
+     */
+    loadHistory() {
+        if (!this.historyLoaded) {
+            this.historyLoaded = this.readHistory();
+        }
+        return this.historyLoaded;
+    }
+
+    async readHistory() {
+        if (!this.historyPath) return;
+
+        try {
+            const data = await fs.readFile(this.historyPath, 'utf8');
+            const saved = JSON.parse(data);
+            this.history = [...this.history, ...saved].slice(0, this.historyLimit);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`⚠️ Could not load job history: ${error.message}`);
+            }
+        }
+    }
+
+    async saveHistory() {
+        if (!this.historyPath) return;
+
+        try {
+            await fs.mkdir(path.dirname(this.historyPath), { recursive: true });
+            await fs.writeFile(this.historyPath, JSON.stringify(this.history, null, 2));
+        } catch (error) {
+            console.warn(`⚠️ Could not save job history: ${error.message}`);
+        }
+    }
+}
+
+module.exports = { JobScheduler };
@@ -0,0 +1,461 @@
+/*
+ * SDS PDF Text Extraction
+ * RascoWeb, Inc. - Professional GHS Safety Binder Automation
+ *
+ * Reads the text of a Safety Data Sheet locally with pdf.js, finds the 16 GHS
+ * sections and pulls out the fields used to pre-fill a chemical record. The
+ * results are suggestions: they are shown in the dashboard form for the user
+ * to check before the chemical is saved.
+ */
+
+const {
+    SIGNAL_WORDS,
+    PICTOGRAMS,
+    HAZARD_STATEMENTS,
+    PRECAUTIONARY_STATEMENTS,
+    getStatementText,
+    suggestPictograms
+} = require('./ghs_codes.js');
+
+// The 16 sections every GHS SDS carries, with the heading words that identify them
+const SDS_SECTIONS = [
+    { number: 1, title: 'Identification', pattern: /identification/i },
+    { number: 2, title: 'Hazard(s) identification', pattern: /hazard/i },
+    { number: 3, title: 'Composition/information on ingredients', pattern: /composition|ingredients/i },
+    { number: 4, title: 'First-aid measures', pattern: /first[\s-]*aid/i },
+    { number: 5, title: 'Fire-fighting measures', pattern: /fire[\s-]*fighting/i },
+    { number: 6, title: 'Accidental release measures', pattern: /accidental\s+release/i },
+    { number: 7, title: 'Handling and storage', pattern: /handling|storage/i },
+    { number: 8, title: 'Exposure controls/personal protection', pattern: /exposure\s+control|personal\s+protection/i },
+    { number: 9, title: 'Physical and chemical properties', pattern: /physical|chemical\s+properties/i },
+    { number: 10, title: 'Stability and reactivity', pattern: /stability|reactivity/i },
+    { number: 11, title: 'Toxicological information', pattern: /toxicolog/i },
+    { number: 12, title: 'Ecological information', pattern: /ecolog/i },
+    { number: 13, title: 'Disposal considerations', pattern: /disposal/i },
+    { number: 14, title: 'Transport information', pattern: /transport/i },
+    { number: 15, title: 'Regulatory information', pattern: /regulatory/i },
+    { number: 16, title: 'Other information', pattern: /other\s+information/i }
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Date labels, revision dates before issue dates
+const REVISION_DATE_LABELS = /\b(revision\s+date|date\s+of\s+(?:last\s+)?revision|last\s+revised|revised(?:\s+on)?|revision|rev\.|version\s+date)/i;
+const ISSUE_DATE_LABELS = /\b(issue\s+date|date\s+of\s+issue|issued(?:\s+on)?|date\s+prepared|(?:date\s+of\s+)?preparation(?:\s+date)?|sds\s+date)/i;
+
+// Gap between two text items, in PDF units, that separates a label from its value
+const COLUMN_GAP = 8;
+
+// CAS Registry Number: 2-7 digits, 2 digits, then a check digit
+function isValidCASNumber(casNumber) {
+    const match = /^(\d{2,7})-(\d{2})-(\d)$/.exec(String(casNumber).trim());
+    if (!match) return false;
+
+    const digits = (match[1] + match[2]).split('').reverse();
+    const checksum = digits.reduce((sum, digit, index) => sum + Number(digit) * (index + 1), 0);
+    return checksum % 10 === Number(match[3]);
+}
+
+/**
+ * Extract the text of a PDF as lines, top to bottom on each page.
+ * Items separated by a wide gap (label and value columns) are joined with a tab.
+ */
+async function extractPDFText(buffer) {
+    const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    const pdf = await getDocument({ data: new Uint8Array(buffer), verbosity: 0, isEvalSupported: false }).promise;
+    const lines = [];
+
+    try {
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const content = await page.getTextContent();
+            const items = content.items
+                .filter(item => item.str && item.str.trim())
+                .sort((a, b) => b.transform[5] - a.transform[5]);
+
+            // Items within a few units of the same baseline form one line
+            const rows = [];
+            for (const item of items) {
+                const row = rows[rows.length - 1];
+                if (row && Math.abs(row.y - item.transform[5]) <= 3) {
+                    row.items.push(item);
+                } else {
+                    rows.push({ y: item.transform[5], items: [item] });
+                }
+            }
+
+            for (const row of rows) {
+                row.items.sort((a, b) => a.transform[4] - b.transform[4]);
+
+                let line = '';
+                let previousEnd = null;
+                for (const item of row.items) {
+                    if (previousEnd !== null) {
+                        line += item.transform[4] - previousEnd > COLUMN_GAP ? '\t' : ' ';
+                    }
+                    line += item.str;
+                    previousEnd = item.transform[4] + item.width;
+                }
+
+                lines.push(line.split('\t').map(cell => cell.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\t'));
+            }
+
+            page.cleanup();
+        }
+    } finally {
+        await pdf.destroy();
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Section headings found in SDS text, in order. A heading is "SECTION 2: ..."
+ * or "2. ..." whose title names that section; "SECTION 3" alone on a line
+ * takes its title from the next line.
+ */
+function findSDSSections(text) {
+    const lines = text.split('\n');
+    const sections = [];
+
+    lines.forEach((line, index) => {
+        const cleaned = line.replace(/\t/g, ' ').trim();
+        const match = /^(?:section\s*(\d{1,2})\b|(\d{1,2})\s*[.:)]\s)\s*[:.\-–—]?\s*(.*)$/i.exec(cleaned);
+        if (!match) return;
+
+        const number = Number(match[1] || match[2]);
+        const definition = SDS_SECTIONS[number - 1];
+        if (!definition || sections.some(section => section.number === number)) return;
+
+        let title = match[3].trim();
+        if (!title && match[1]) {
+            title = (lines.slice(index + 1).find(next => next.trim()) || '').replace(/\t/g, ' ').trim();
+        }
+
+        if (definition.pattern.test(title)) {
+            sections.push({ number, title, line: index });
+        }
+    });
+
+    return sections;
+}
+
+/**
+ * Lines belonging to one section, or every line when the section was not found
+ */
+function getSectionLines(lines, sections, number) {
+    const start = sections.find(section => section.number === number);
+    if (!start) return lines;
+
+    const next = sections.find(section => section.line > start.line);
+    return lines.slice(start.line + 1, next ? next.line : lines.length);
+}
+
+/**
+ * Value of the first line starting with one of the labels, e.g. "Product name: X"
+ * or "Product name<tab>X". A label alone on its line takes the next line,
+ * unless that line is itself a label and value.
+ */
+function findLabeledValue(lines, labels) {
+    for (const label of labels) {
+        const pattern = new RegExp(`^\\s*(?:${label.source})\\s*(?::|\\t|$)\\s*(.*)$`, 'i');
+
+        for (let index = 0; index < lines.length; index++) {
+            const match = pattern.exec(lines[index]);
+            if (!match) continue;
+
+            const value = match[1].replace(/\t/g, ' ').trim();
+            if (value) {
+                return { value, index };
+            }
+
+            const next = lines[index + 1];
+            if (next && next.trim() && !/[:\t]/.test(next)) {
+                return { value: next.trim(), index: index + 1 };
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Parse a date written in an English-language SDS to YYYY-MM-DD.
+ * Slash dates are read month first (US) unless the first number is over 12;
+ * dotted dates are read day first.
+ */
+function parseSDSDate(value) {
+    const text = String(value);
+    let year, month, day;
+    let match;
+
+    if ((match = /\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/.exec(text))) {
+        [year, month, day] = [match[1], match[2], match[3]].map(Number);
+    } else if ((match = /\b(\d{1,2})([-/.])(\d{1,2})\2(\d{4}|\d{2})\b/.exec(text))) {
+        const [first, second] = [Number(match[1]), Number(match[3])];
+        const dayFirst = match[2] === '.' || first > 12;
+        [day, month] = dayFirst ? [first, second] : [second, first];
+        year = Number(match[4].length === 2 ? `20${match[4]}` : match[4]);
+    } else if ((match = /\b(\d{1,2})(?:st|nd|rd|th)?[\s-]+([a-z]{3,9})\.?[\s,-]+(\d{4})\b/i.exec(text))) {
+        [day, month, year] = [Number(match[1]), MONTHS.indexOf(match[2].slice(0, 3).toLowerCase()) + 1, Number(match[3])];
+    } else if ((match = /\b([a-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/i.exec(text))) {
+        [month, day, year] = [MONTHS.indexOf(match[1].slice(0, 3).toLowerCase()) + 1, Number(match[2]), Number(match[3])];
+    } else {
+        return null;
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (month < 1 || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * The SDS revision date from an English date label such as "Revision date:" or,
+ * failing that, "Issue date:". Returns { label, date } or null.
+ */
+function findRevisionDate(text) {
+    const lines = text.split('\n');
+
+    for (const labels of [REVISION_DATE_LABELS, ISSUE_DATE_LABELS]) {
+        for (let index = 0; index < lines.length; index++) {
+            const match = labels.exec(lines[index]);
+            if (!match) continue;
+
+            const rest = lines[index].slice(match.index + match[0].length);
+            const date = parseSDSDate(rest) || (!rest.replace(/[\s:\t]/g, '') && parseSDSDate(lines[index + 1] || ''));
+            if (date) {
+                return { label: match[1], date };
+            }
+        }
+    }
+
+    return null;
+}
+
+// Statement codes whose full text appears on a line of its own, e.g. "May be corrosive to metals."
+function findStatementsByText(lines, table) {
+    const normalize = value => value.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    const byText = new Map(Object.entries(table).map(([code, statement]) => [normalize(statement), code]));
+
+    return lines
+        .map(line => byText.get(normalize(line.replace(/^[A-Z]\d{3}\S*\s*/, ''))))
+        .filter(Boolean);
+}
+
+function unique(values) {
+    return [...new Set(values)];
+}
+
+/**
+ * Find the pre-fill fields in SDS text. Returns the section headings found,
+ * the fields (missing ones are null or empty) and notes for the user.
+ */
+function parseSDSText(text) {
+    const lines = text.split('\n');
+    const sections = findSDSSections(text);
+    const section = number => getSectionLines(lines, sections, number);
+    const notes = [];
+
+    // Section 1: product name, supplier and emergency phone
+    const identification = section(1);
+    let name = null;
+    const nameField = findLabeledValue(identification, [
+        /(?:ghs\s+)?product\s+name|trade\s+name|material\s+name/,
+        /(?:ghs\s+)?product\s+identifier/,
+        /product/
+    ]);
+    if (nameField) {
+        name = nameField.value;
+
+        // Upper-case names often wrap onto a second line
+        const next = identification[nameField.index + 1];
+        if (!/[a-z]/.test(name) && next && /^[^a-z:\t]+$/.test(next) && /[A-Z]/.test(next) && !/^section\b/i.test(next)) {
+            name = `${name} ${next.trim()}`;
+        }
+    }
+
+    const supplierField = findLabeledValue(identification, [
+        /(?:details\s+of\s+the\s+)?(?:manufacturer|supplier|distributor|company)(?![^:\t]*(?:phone|fax|mail|address|web|tel))[a-z\s/()]{0,40}?/
+    ]);
+
+    let emergencyPhone = null;
+    const phonePattern = /\+?\(?\d[\d\s().-]{6,}\d/;
+    for (const [index, line] of identification.entries()) {
+        if (!/emergency/i.test(line)) continue;
+        const phone = phonePattern.exec(line) || phonePattern.exec(identification[index + 1] || '');
+        if (phone && phone[0].replace(/\D/g, '').length >= 7) {
+            emergencyPhone = phone[0].trim();
+            break;
+        }
+    }
+
+    // Section 2: signal word, H/P statements and pictograms
+    const hazards = section(2);
+    const hazardText = hazards.join('\n');
+
+    let signalWord = null;
+    const signalField = findLabeledValue(hazards, [/signal\s+word/]);
+    const signalSource = signalField ? [signalField.value] : hazards;
+    for (const value of signalSource) {
+        const word = SIGNAL_WORDS.find(candidate => new RegExp(`^\\s*${candidate}\\b`, 'i').test(value));
+        if (word) {
+            signalWord = word;
+            break;
+        }
+    }
+
+    const hCodes = unique([
+        ...[...hazardText.matchAll(/(?<![A-Z])H\s?(\d{3})(?!\d)/g)].map(match => `H${match[1]}`),
+        ...findStatementsByText(hazards, HAZARD_STATEMENTS)
+    ]).filter(code => HAZARD_STATEMENTS[code]);
+
+    const pCodes = unique([
+        ...[...hazardText.matchAll(/(?<![A-Z])P\s?\d{3}(?:\s*\+\s*P\s?\d{3})*/g)].map(match => match[0].replace(/\s+/g, '')),
+        ...findStatementsByText(hazards, PRECAUTIONARY_STATEMENTS)
+    ]).filter(code => getStatementText(code));
+
+    // Pictograms are usually images; use codes or names printed next to them if any
+    const pictogramLines = hazards.flatMap((line, index) => (/pictogram/i.test(line) ? hazards.slice(index, index + 4) : []));
+    let pictograms = unique([
+        ...[...hazardText.matchAll(/\bGHS\s?0?([1-9])\b/g)].map(match => `GHS0${match[1]}`),
+        ...Object.entries(PICTOGRAMS)
+            .filter(([, pictogramName]) => pictogramLines.some(line => new RegExp(`\\b${pictogramName}\\b`, 'i').test(line)))
+            .map(([code]) => code)
+    ]).sort();
+
+    if (pictograms.length === 0 && hCodes.length > 0) {
+        pictograms = suggestPictograms(hCodes);
+        if (pictograms.length > 0) {
+            notes.push('Pictograms were suggested from the hazard statements - compare them with the SDS label elements');
+        }
+    }
+
+    // Section 3: CAS numbers with a valid check digit
+    const casNumbers = unique(section(3).join('\n').match(/\b\d{2,7}-\d{2}-\d\b/g) || []).filter(isValidCASNumber);
+
+    const revision = findRevisionDate(text);
+
+    if (sections.length < SDS_SECTIONS.length) {
+        notes.push(`Found ${sections.length} of ${SDS_SECTIONS.length} SDS section headings - fields outside them may be missed`);
+    }
+
+    return {
+        sections,
+        fields: {
+            name,
+            supplier: supplierField ? supplierField.value : null,
+            emergency_phone: emergencyPhone,
+            ghs: {
+                signal_word: signalWord,
+                h_codes: hCodes,
+                p_codes: pCodes,
+                pictograms
+            },
+            cas_numbers: casNumbers,
+            revision_date: revision ? revision.date : null
+        },
+        notes
+    };
+}
+
+/**
+ * Check SDS text for the 16 section headings and an English-language revision
+ * (or issue) date. Spec sheets and marketing literature fail this check.
+ */
+function checkSDSCompleteness(text) {
+    const found = findSDSSections(text).map(section => section.number);
+    const missingSections = SDS_SECTIONS
+        .filter(section => !found.includes(section.number))
+        .map(({ number, title }) => ({ number, title }));
+    const revision = findRevisionDate(text);
+    const warnings = [];
+
+    if (missingSections.length === SDS_SECTIONS.length) {
+        warnings.push('No SDS section headings found - this does not look like a Safety Data Sheet');
+    } else if (missingSections.length > 0) {
+        warnings.push(`Missing SDS section heading(s): ${missingSections.map(section => `${section.number} ${section.title}`).join(', ')}`);
+    }
+    if (!revision) {
+        warnings.push('No English-language revision date found');
+    }
+
+    return {
+        complete: warnings.length === 0,
+        missing_sections: missingSections,
+        revision_date: revision ? revision.date : null,
+        warnings
+    };
+}
+
+/**
+ * Completeness check for an SDS PDF. A PDF without readable text fails the check.
+ */
+async function checkSDSFile(buffer) {
+    let text;
+    try {
+        text = await extractPDFText(buffer);
+    } catch (error) {
+        text = null;
+    }
+
+    if (!text || !text.trim()) {
+        return {
+            complete: false,
+            missing_sections: SDS_SECTIONS.map(({ number, title }) => ({ number, title })),
+            revision_date: null,
+            warnings: [text === null ? 'The PDF could not be read' : 'The PDF has no text layer (scanned image?) - the SDS sections cannot be checked']
+        };
+    }
+
+    return checkSDSCompleteness(text);
+}
+
+/**
+ * Active chemicals whose SDS failed the completeness check, with whether the
+ * failure was overridden. SDSs that were never checked are not listed.
+ */
+function findIncompleteSDSs(customerConfig) {
+    return (customerConfig.chemicals || [])
+        .filter(chemical => chemical.active && chemical.sds?.completeness && !chemical.sds.completeness.complete)
+        .map(chemical => ({
+            chemical_id: chemical.id,
+            chemical: chemical.name,
+            filename: chemical.sds.filename,
+            warnings: chemical.sds.completeness.warnings,
+            override: chemical.sds.completeness.override || null
+        }));
+}
+
+/**
+ * Extract and parse an SDS PDF
+ */
+async function extractSDSFields(buffer) {
+    let text;
+    try {
+        text = await extractPDFText(buffer);
+    } catch (error) {
+        throw new Error(`Could not read PDF text: ${error.message}`);
+    }
+
+    if (!text.trim()) {
+        throw new Error('The PDF has no text layer (scanned image?) - enter the fields by hand');
+    }
+
+    return parseSDSText(text);
+}
+
+module.exports = {
+    SDS_SECTIONS,
+    isValidCASNumber,
+    extractPDFText,
+    findSDSSections,
+    findRevisionDate,
+    parseSDSDate,
+    parseSDSText,
+    extractSDSFields,
+    checkSDSCompleteness,
+    checkSDSFile,
+    findIncompleteSDSs
+};
@@ -0,0 +1,101 @@
+/*
+ * SDS Review Tracking
+ * RascoWeb, Inc. - Professional GHS Safety Binder Automation
+ *
+ * Flags Safety Data Sheets that have not been reviewed within the review
+ * interval. An SDS is due three years after its last review, or after its
+ * issue date (sds.revision_date) when it has never been reviewed.
+ */
+
+const SDS_REVIEW_INTERVAL_YEARS = 3;
+const SDS_DUE_SOON_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a YYYY-MM-DD (or ISO) date, or null when missing or invalid
+ */
+function parseDate(value) {
+    if (!value) return null;
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value);
+    return isNaN(date) ? null : date;
+}
+
+/**
+ * Review status for one chemical's SDS:
+ * 'overdue', 'due_soon', 'current' or 'undated' (no issue or review date)
+ */
+function getSDSReviewStatus(chemical, { now = new Date(), dueSoonDays = SDS_DUE_SOON_DAYS } = {}) {
+    const sds = chemical.sds || {};
+    const lastReviewed = parseDate(sds.last_reviewed);
+    const issued = parseDate(sds.revision_date);
+    const reviewedFrom = lastReviewed || issued;
+
+    const entry = {
+        chemical_id: chemical.id,
+        chemical: chemical.name,
+        filename: sds.filename || null,
+        issue_date: sds.revision_date || null,
+        last_reviewed: sds.last_reviewed || null,
+        review_due: null,
+        days_until_due: null
+    };
+
+    if (!reviewedFrom) {
+        return { ...entry, status: 'undated' };
+    }
+
+    const due = new Date(reviewedFrom);
+    due.setUTCFullYear(due.getUTCFullYear() + SDS_REVIEW_INTERVAL_YEARS);
+    const daysUntilDue = Math.floor((due - now) / DAY_MS);
+
+    let status = 'current';
+    if (daysUntilDue < 0) {
+        status = 'overdue';
+    } else if (daysUntilDue <= dueSoonDays) {
+        status = 'due_soon';
+    }
+
+    return {
+        ...entry,
+        review_due: due.toISOString().split('T')[0],
+        days_until_due: daysUntilDue,
+        status
+    };
+}
+
+/**
+ * Staleness report for a customer's active chemicals, most overdue first
+ */
+function buildStalenessReport(customerConfig, options = {}) {
+    const dueSoonDays = options.dueSoonDays ?? SDS_DUE_SOON_DAYS;
+    const statuses = (customerConfig.chemicals || [])
+        .filter(chemical => chemical.active)
+        .map(chemical => getSDSReviewStatus(chemical, { ...options, dueSoonDays }))
+        .sort((a, b) => (a.days_until_due ?? -Infinity) - (b.days_until_due ?? -Infinity));
+
+    const byStatus = status => statuses.filter(entry => entry.status === status);
+
+    return {
+        customer: customerConfig.customer_info.name,
+        slug: customerConfig.customer_info.slug,
+        generated_at: new Date().toISOString(),
+        review_interval_years: SDS_REVIEW_INTERVAL_YEARS,
+        due_soon_days: dueSoonDays,
+        counts: {
+            overdue: byStatus('overdue').length,
+            due_soon: byStatus('due_soon').length,
+            undated: byStatus('undated').length,
+            current: byStatus('current').length
+        },
+        overdue: byStatus('overdue'),
+        due_soon: byStatus('due_soon'),
+        undated: byStatus('undated')
+    };
+}
+
+module.exports = {
+    SDS_REVIEW_INTERVAL_YEARS,
+    SDS_DUE_SOON_DAYS,
+    getSDSReviewStatus,
+    buildStalenessReport
+};
@@ -0,0 +1,74 @@
+/*
+ * Customer Site Search Index
+ * RascoWeb, Inc. - Professional GHS Safety Binder Automation
+ *
+ * Builds the client-side search index embedded in each customer site, so
+ * responders can find a product by name, trade name, supplier, CAS number,
+ * H-code or a hazard word such as "corrosive".
+ */
+
+// Searchable fields, strongest match first; weights rank results on the site
+const SEARCH_FIELDS = [
+    { key: 'name', label: 'Name', weight: 10 },
+    { key: 'synonyms', label: 'Also known as', weight: 8 },
+    { key: 'cas_numbers', label: 'CAS', weight: 8 },
+    { key: 'h_codes', label: 'Hazard code', weight: 6 },
+    { key: 'supplier', label: 'Supplier', weight: 4 },
+    { key: 'hazards', label: 'Hazard', weight: 3 },
+    { key: 'description', label: 'Description', weight: 2 }
+];
+
+/**
+ * Lowercase word tokens used for fuzzy matching
+ */
+function tokenize(text) {
+    return String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(token => token.length > 1);
+}
+
+/**
+ * Searchable text for each field of a chemical whose GHS data is already
+ * expanded (see expandGHSClassification)
+ */
+function getSearchValues(chemical) {
+    const ghs = chemical.ghs;
+
+    return {
+        name: [chemical.name],
+        synonyms: chemical.synonyms || [],
+        cas_numbers: chemical.cas_numbers || [],
+        h_codes: ghs ? ghs.hazard_statements.map(statement => statement.code) : [],
+        supplier: chemical.supplier ? [chemical.supplier] : [],
+        hazards: [
+            chemical.hazards,
+            ghs?.signal_word,
+            ...(ghs ? ghs.hazard_statements.map(statement => statement.text) : []),
+            ...(ghs ? ghs.pictograms.map(pictogram => pictogram.name) : [])
+        ].filter(Boolean),
+        description: chemical.description ? [chemical.description] : []
+    };
+}
+
+/**
+ * Build the search index for the active products shown on a site
+ */
+function buildSearchIndex(chemicals) {
+    return chemicals.map(chemical => {
+        const values = getSearchValues(chemical);
+
+        return {
+            id: chemical.id,
+            fields: SEARCH_FIELDS
+                .filter(field => values[field.key].length > 0)
+                .map(field => ({
+                    ...field,
+                    values: values[field.key].map(String),
+                    tokens: [...new Set(values[field.key].flatMap(tokenize))]
+                }))
+        };
+    });
+}
+
+module.exports = {
+    SEARCH_FIELDS,
+    buildSearchIndex
+};
@@ -140,6 +140,15 @@ UPLOADS_PATH="./uploads"
 ENABLE_ANALYTICS=true
 ENABLE_QR_CODES=true
 ENABLE_NOTIFICATIONS=true
+
+# Scheduled Jobs (cron expressions, or "off" to disable a job)
+SCHEDULER_ENABLED=true
+SCHEDULE_FILE_STATUS_SCAN="0 2 * * *"
+SCHEDULE_SDS_STALENESS_REPORT="0 6 * * 1"
+SCHEDULE_CONFIG_BACKUP="0 3 * * *"
+SCHEDULE_AUTO_REDEPLOY="0 4 * * *"
+AUTO_REDEPLOY_ENABLED=false
+BACKUP_RETENTION=30
 `;
 
         await fs.writeFile('.env', envContent);
@@ -0,0 +1,75 @@
+/*
+ * GHS Safety Binder - Offline Service Worker
+ * RascoWeb, Inc. - Professional GHS Safety Binder Automation
+ *
+ * Generated for each deploy. The cache name carries the deploy timestamp, so
+ * a redeploy installs a fresh cache and removes the previous copy of every SDS.
+ */
+
+const CACHE_PREFIX = {{{CACHE_PREFIX_JSON}}};
+const CACHE_NAME = {{{CACHE_NAME_JSON}}};
+const PRECACHE_URLS = {{{PRECACHE_URLS_JSON}}};
+
+// Cache one URL; cross-origin documents are stored as opaque responses
+async function precache(cache, url) {
+    const absoluteUrl = new URL(url, self.registration.scope);
+    const sameOrigin = absoluteUrl.origin === self.location.origin;
+    const response = await fetch(absoluteUrl.href, { mode: sameOrigin ? 'same-origin' : 'no-cors', cache: 'reload' });
+
+    if (sameOrigin && !response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    await cache.put(absoluteUrl.href, response);
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+
+        // One missing document must not stop the rest of the binder from caching
+        const results = await Promise.allSettled(PRECACHE_URLS.map(url => precache(cache, url)));
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                console.warn(`Offline cache skipped ${PRECACHE_URLS[index]}: ${result.reason.message}`);
+            }
+        });
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    // Pages: network first so online visitors always see the latest deploy
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request).catch(async () => {
+                const cache = await caches.open(CACHE_NAME);
+                return (await cache.match(request, { ignoreSearch: true })) ||
+                    (await cache.match(new URL('index.html', self.registration.scope).href)) ||
+                    Response.error();
+            })
+        );
+        return;
+    }
+
+    // Documents and assets: the cached copy belongs to this deploy
+    event.respondWith((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        const cached = await cache.match(request);
+        return cached || fetch(request);
+    })());
+});